@@ -0,0 +1,295 @@
+// Admin Panel
+// Local editing of the platform data files through the API of server.js; hidden everywhere else
+
+class AdminPanel {
+    /**
+     * Create the panel when the page is served by server.js on this machine
+     * @param {AchievementDashboard} dashboard - Reloaded after every change
+     * @returns {Promise<?AdminPanel>} The panel, or null when there is no local API
+     */
+    static async create(dashboard) {
+        if (!['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname)) return null;
+
+        try {
+            const response = await fetch('api/platforms', { cache: 'no-store' });
+            if (!response.ok) return null;
+            return new AdminPanel(dashboard, await response.json());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    constructor(dashboard, platforms) {
+        this.dashboard = dashboard;
+        this.platforms = platforms;
+        this.section = document.getElementById('admin-panel');
+        this.form = document.getElementById('admin-form');
+        this.status = document.getElementById('admin-status');
+        this.entry = null; // Entry loaded from the API, null for a new game
+
+        if (!this.section || !this.form) return;
+        this.updateVisibility();
+        this.renderPlatformOptions();
+        this.setupEventListeners();
+        this.updateFieldVisibility();
+    }
+
+    // The API edits the files in data/: hidden while the dashboard shows a profile with its own directory
+    updateVisibility() {
+        if (this.section) this.section.hidden = this.dashboard.getDataDir() !== 'data';
+    }
+
+    field(name) {
+        return this.form.elements[name];
+    }
+
+    get platform() {
+        return this.platforms.find(platform => platform.id === this.field('platform').value) || this.platforms[0];
+    }
+
+    renderPlatformOptions() {
+        this.field('platform').innerHTML = this.platforms
+            .map(platform => `<option value="${DashboardRender.escapeHtml(platform.id)}">${DashboardRender.escapeHtml(platform.name)}</option>`)
+            .join('');
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        this.field('platform').addEventListener('change', () => {
+            this.entry = null;
+            this.updateFieldVisibility();
+        });
+        this.field('set').addEventListener('change', () => this.fillProgress());
+        document.getElementById('admin-load').addEventListener('click', () => this.load());
+        document.getElementById('admin-fetch').addEventListener('click', () => this.fetchData());
+        document.getElementById('admin-delete').addEventListener('click', () => this.remove());
+        document.getElementById('admin-new').addEventListener('click', () => this.reset());
+    }
+
+    // RetroAchievements progress lives in sets; hardcore counts only exist there
+    updateFieldVisibility() {
+        const hasSets = this.platform.subsets;
+        this.form.querySelectorAll('[data-sets-only]').forEach(element => {
+            element.hidden = !hasSets;
+        });
+        if (!hasSets) this.field('set').value = 'Base';
+        this.field('subsetName').closest('.admin-field').hidden = !hasSets || this.setKey() === 'Base';
+        this.renderCoverStyleOptions();
+    }
+
+    // Cover styles of the platform (js/platforms/), empty for the platform default
+    renderCoverStyleOptions() {
+        const styles = this.platform.coverStyles;
+        const select = this.field('coverStyle');
+        select.closest('.admin-field').hidden = !styles;
+        if (!styles) return;
+
+        const value = select.value;
+        const escape = DashboardRender.escapeHtml;
+        select.innerHTML = `<option value="">Platform default (${escape(styles[this.platform.coverStyle].name)})</option>` +
+            Object.entries(styles).map(([id, style]) => `<option value="${escape(id)}">${escape(style.name)}</option>`).join('');
+        select.value = styles[value] ? value : '';
+    }
+
+    setKey() {
+        return this.field('set').value.trim() || 'Base';
+    }
+
+    // Open a game of the dashboard in the form (edit button of game pages)
+    edit(game) {
+        this.field('platform').value = game.platform;
+        this.field('platformId').value = game.parentId || game.platformId;
+        this.field('set').value = game.subsetId || 'Base';
+        this.updateFieldVisibility();
+        this.section.scrollIntoView({ behavior: 'smooth' });
+        this.load();
+    }
+
+    async load() {
+        const platformId = this.field('platformId').value.trim();
+        if (!platformId) {
+            this.showStatus('error', 'Enter a platform ID to load');
+            return;
+        }
+
+        try {
+            this.entry = await this.request('GET', this.gameUrl(platformId));
+        } catch (error) {
+            this.entry = null;
+            this.showStatus('error', error.status === 404 ? `No ${this.platform.name} game ${platformId} yet: saving adds it` : error.message);
+            return;
+        }
+
+        this.field('name').value = this.entry.name || '';
+        this.field('console').value = this.entry.console || '';
+        this.field('tags').value = (this.entry.tags || []).join(', ');
+        this.field('groupId').value = this.entry.groupId || '';
+        this.field('coverStyle').value = this.entry.coverStyle || '';
+        this.fillProgress();
+        this.showStatus('info', `Loaded ${this.entry.name || platformId}`);
+    }
+
+    // Progress fields of the entry, or of the selected set for RetroAchievements
+    fillProgress() {
+        this.updateFieldVisibility();
+        const source = this.platform.subsets
+            ? ((this.entry && this.entry.subsets) || {})[this.setKey()] || {}
+            : this.entry || {};
+
+        ['totalAchievements', 'unlockedAchievements', 'unlockedAchievementsHardcore', 'playedTime'].forEach(name => {
+            this.field(name).value = source[name] !== undefined ? source[name] : '';
+        });
+        this.field('lastAchievement').value = source.lastAchievement || '';
+        this.field('subsetName').value = source.name || '';
+    }
+
+    /**
+     * Entry to save: the loaded one with the form's values; empty fields remove optional values
+     * @returns {Object} Data file entry
+     */
+    buildEntry() {
+        const text = name => this.field(name).value.trim();
+        const number = name => text(name) === '' ? undefined : Number(text(name));
+        const assign = (target, values) => {
+            Object.entries(values).forEach(([key, value]) => {
+                if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                    delete target[key];
+                } else {
+                    target[key] = value;
+                }
+            });
+            return target;
+        };
+
+        const entry = assign({ ...this.entry, platformId: text('platformId') }, {
+            name: text('name'),
+            console: text('console'),
+            tags: text('tags').split(',').map(tag => tag.trim()).filter(Boolean),
+            groupId: text('groupId'),
+            coverStyle: this.platform.coverStyles ? text('coverStyle') : undefined
+        });
+        const progress = {
+            totalAchievements: number('totalAchievements'),
+            unlockedAchievements: number('unlockedAchievements'),
+            lastAchievement: text('lastAchievement') || null,
+            playedTime: number('playedTime')
+        };
+
+        if (!this.platform.subsets) {
+            return assign(entry, progress);
+        }
+
+        const key = this.setKey();
+        const subsets = { ...entry.subsets };
+        subsets[key] = assign({ ...subsets[key] }, {
+            ...progress,
+            unlockedAchievementsHardcore: number('unlockedAchievementsHardcore'),
+            name: key === 'Base' ? undefined : text('subsetName')
+        });
+        return { ...entry, subsets };
+    }
+
+    async save() {
+        const entry = this.buildEntry();
+        try {
+            const result = this.entry
+                ? await this.request('PUT', this.gameUrl(this.entry.platformId), entry)
+                : await this.request('POST', `api/games/${encodeURIComponent(this.platform.id)}`, entry);
+            this.entry = result.game;
+            await this.dashboard.reloadData();
+            this.showStatus('success', `Saved ${result.game.name || result.game.platformId}`, result.warnings);
+        } catch (error) {
+            this.showStatus('error', error.message, error.details);
+        }
+    }
+
+    async fetchData() {
+        if (!this.entry) {
+            this.showStatus('error', 'Save the game before fetching its name and cover');
+            return;
+        }
+
+        this.showStatus('info', 'Fetching name and cover...');
+        try {
+            const result = await this.request('POST', `${this.gameUrl(this.entry.platformId)}/fetch`, {});
+            this.entry = result.game;
+            this.field('name').value = this.entry.name || '';
+            this.field('console').value = this.entry.console || '';
+            this.fillProgress();
+            await this.dashboard.reloadData();
+            this.showStatus('success', `Fetched ${this.entry.name || this.entry.platformId}`, result.warnings);
+        } catch (error) {
+            this.showStatus('error', error.message, error.details);
+        }
+    }
+
+    // Delete the game, or only the selected set of a RetroAchievements game
+    async remove() {
+        if (!this.entry) {
+            this.showStatus('error', 'Load a game to delete it');
+            return;
+        }
+
+        const key = this.setKey();
+        const deleteSet = this.platform.subsets && key !== 'Base';
+        const label = deleteSet ? `set ${key} of ${this.entry.name || this.entry.platformId}` : this.entry.name || this.entry.platformId;
+        if (!window.confirm(`Delete ${label}?`)) return;
+
+        try {
+            if (deleteSet) {
+                const result = await this.request('DELETE', `${this.gameUrl(this.entry.platformId)}/subsets/${encodeURIComponent(key)}`);
+                this.entry = result.game;
+                this.field('set').value = 'Base';
+                this.fillProgress();
+            } else {
+                await this.request('DELETE', this.gameUrl(this.entry.platformId));
+                this.reset();
+            }
+            await this.dashboard.reloadData();
+            this.showStatus('success', `Deleted ${label}`);
+        } catch (error) {
+            this.showStatus('error', error.message, error.details);
+        }
+    }
+
+    reset() {
+        const platform = this.field('platform').value;
+        this.form.reset();
+        this.field('platform').value = platform;
+        this.entry = null;
+        this.updateFieldVisibility();
+        this.showStatus('info', '');
+    }
+
+    gameUrl(platformId) {
+        return `api/games/${encodeURIComponent(this.platform.id)}/${encodeURIComponent(platformId)}`;
+    }
+
+    async request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            cache: 'no-store',
+            headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `${method} ${url} failed: ${response.status}`);
+            error.status = response.status;
+            error.details = data.details || [];
+            throw error;
+        }
+        return data;
+    }
+
+    showStatus(level, message, details = []) {
+        if (!this.status) return;
+        this.status.className = `admin-status admin-status-${level}`;
+        this.status.innerHTML = `${DashboardRender.escapeHtml(message)}${details.length > 0 ? `
+            <ul>${details.map(detail => `<li>${DashboardRender.escapeHtml(detail)}</li>`).join('')}</ul>
+        ` : ''}`;
+    }
+}
@@ -0,0 +1,116 @@
+// What Changed
+// Games started, games perfected and unlocks of the last 7, 30 or 90 days, from the snapshots the
+// fetcher appends to data/history.json (js/history.js); follows the filters of the dashboard.
+// Hidden while the current profile has no history
+
+class ChangesPanel {
+    /**
+     * Create the panel and load the current profile's history
+     * @param {AchievementDashboard} dashboard - Provides the profile, the games and their filters
+     * @returns {Promise<?ChangesPanel>} The panel, or null when the page has no place for it
+     */
+    static async create(dashboard) {
+        if (!document.getElementById('changes-section')) return null;
+
+        const panel = new ChangesPanel(dashboard);
+        await panel.load();
+        return panel;
+    }
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.section = document.getElementById('changes-section');
+        this.periods = document.getElementById('changes-periods');
+        this.summary = document.getElementById('changes-summary');
+        this.lists = document.getElementById('changes-lists');
+        this.history = null; // Snapshots of the current profile, null without a history file
+        this.days = DashboardHistory.PERIODS[0];
+
+        this.renderPeriods();
+        this.setupEventListeners();
+    }
+
+    renderPeriods() {
+        this.periods.innerHTML = DashboardHistory.PERIODS.map(days => `
+            <button type="button" class="changes-period" data-days="${days}" aria-pressed="${days === this.days}">${days} days</button>
+        `).join('');
+    }
+
+    setupEventListeners() {
+        this.periods.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-days]');
+            if (!button) return;
+            this.days = Number(button.dataset.days);
+            this.periods.querySelectorAll('[data-days]').forEach(period => {
+                period.setAttribute('aria-pressed', String(period === button));
+            });
+            this.render();
+        });
+    }
+
+    /**
+     * Load the history of the current profile (after a profile switch or a data change), then render
+     * @param {Object} [options]
+     * @param {string} [options.cache='default'] - Cache mode of the request
+     */
+    async load({ cache = 'default' } = {}) {
+        const file = DashboardRender.getUserDataFile('data/history.json', this.dashboard.currentUser);
+        try {
+            const response = await fetch(file, { cache });
+            const history = response.ok ? await response.json() : null;
+            this.history = Array.isArray(history) && history.length > 0 ? history : null;
+        } catch (error) {
+            console.warn(`Error loading ${file}:`, error);
+            this.history = null;
+        }
+        this.render();
+    }
+
+    render() {
+        this.section.hidden = !this.history;
+        if (!this.history) return;
+
+        const diff = DashboardHistory.diffHistory(this.history, DashboardHistory.getPeriodStart(this.days));
+        // Games shown on the dashboard; entries of games since removed from the data files are left out
+        const games = new Map(this.dashboard.filteredAchievements.map(game => [DashboardRender.generateGameId(game), game]));
+        const shown = entries => entries.filter(entry => games.has(entry.id)).map(entry => ({ ...entry, game: games.get(entry.id) }));
+        const started = shown(diff.started);
+        const perfected = shown(diff.perfected);
+        const progressed = shown(diff.progressed);
+        const unlocked = progressed.reduce((sum, entry) => sum + entry.delta, 0);
+
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const parts = [
+            `${unlocked > 0 ? '+' : ''}${plural(unlocked, 'achievement')} in ${plural(progressed.length, 'game')}`,
+            `${started.length} started`,
+            `${perfected.length} perfected`
+        ];
+        // What happened before the first snapshot is unknown
+        const from = diff.baseline >= diff.since ? `the first snapshot (${DashboardRender.formatDate(diff.baseline)})` : DashboardRender.formatDate(diff.since);
+        this.summary.textContent = `${parts.join(' · ')} since ${from}`;
+
+        this.lists.innerHTML = [
+            this.createList('Started', 'fa-play', started, entry => `${entry.after.unlocked}/${entry.after.total}`),
+            this.createList('Perfected', 'fa-medal', perfected, entry => `${entry.after.total}/${entry.after.total}`),
+            this.createList('Unlocks', 'fa-trophy', progressed, entry => `${entry.delta > 0 ? '+' : ''}${entry.delta}`)
+        ].join('');
+    }
+
+    createList(title, icon, entries, value) {
+        const items = entries.map(entry => {
+            const definition = PlatformRegistry.get(entry.game.platform);
+            return `
+                <li class="changes-entry">
+                    <a class="changes-game" href="${DashboardRender.getGameRoute(entry.game)}">${DashboardRender.escapeHtml(entry.game.name)}</a>
+                    <span class="changes-platform">${DashboardRender.escapeHtml(definition ? definition.name : entry.game.platform)}</span>
+                    <span class="changes-value">${DashboardRender.escapeHtml(value(entry))}</span>
+                </li>`;
+        }).join('');
+
+        return `
+            <div class="changes-list">
+                <h3 class="changes-list-title"><i class="fas ${icon}"></i> ${title} <span class="changes-count">${entries.length}</span></h3>
+                ${entries.length > 0 ? `<ol>${items}</ol>` : '<p class="changes-empty">None</p>'}
+            </div>`;
+    }
+}
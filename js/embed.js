@@ -0,0 +1,147 @@
+// Embeddable Widget
+// Compact list of game cards (DashboardRender.createGameCard) for iframes on other sites, configured
+// by the query string of embed.html:
+//   ?platform=retroachievements   Platforms to show (comma-separated), default all
+//   &tag=Roguelite                Games with one of these tags (comma-separated)
+//   &sort=recent                  recent, name, completion or playtime, as on the dashboard
+//   &limit=6                      Number of cards (1 to 50), default 6
+//   &layout=portrait              Portrait grid instead of cover-shaped cards
+//   &header=0                     Without the title and totals line
+//   &user=alice                   Team profile of data/users.json, default the first
+// The page posts its height to the parent ({ type: 'achievements-embed', height }) for auto-sizing iframes.
+
+const EMBED_DEFAULT_LIMIT = 6;
+const EMBED_MAX_LIMIT = 50;
+const EMBED_SORTS = ['recent', 'name', 'completion', 'playtime'];
+
+class EmbedWidget {
+    constructor() {
+        this.options = this.readOptions(new URLSearchParams(window.location.search));
+        this.games = [];
+
+        this.init().catch(error => {
+            console.error('❌ Widget error:', error);
+            this.showMessage('Could not load the achievements');
+        });
+    }
+
+    readOptions(params) {
+        const list = name => (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+        const limit = parseInt(params.get('limit'), 10);
+        return {
+            platforms: list('platform'),
+            tags: list('tag'),
+            sort: EMBED_SORTS.includes(params.get('sort')) ? params.get('sort') : 'recent',
+            limit: Number.isFinite(limit) ? Math.min(Math.max(limit, 1), EMBED_MAX_LIMIT) : EMBED_DEFAULT_LIMIT,
+            portrait: params.get('layout') === 'portrait',
+            header: params.get('header') !== '0',
+            user: params.get('user')
+        };
+    }
+
+    async init() {
+        await PlatformRegistry.load();
+        this.user = await this.loadUser();
+        const definitions = PlatformRegistry.all()
+            .filter(definition => this.options.platforms.length === 0 || this.options.platforms.includes(definition.id));
+
+        const allGames = [];
+        for (const definition of definitions) {
+            const response = await fetch(DashboardRender.getUserDataFile(definition.dataFile, this.user));
+            if (!response.ok) continue;
+            allGames.push(...DashboardRender.expandPlatformGames(definition, await response.json()));
+        }
+
+        const games = DashboardRender.prepareGames(allGames).filter(game => {
+            if (this.options.tags.length === 0) return true;
+            return Array.isArray(game.tags) && game.tags.some(tag => this.options.tags.includes(tag));
+        });
+        DashboardRender.sortGames(games, this.options.sort);
+
+        this.renderHeader(games, definitions);
+        this.games = games.slice(0, this.options.limit);
+        this.renderCards();
+        this.setupEventListeners();
+        this.reportHeight();
+    }
+
+    // Profile chosen by ?user=, else the first of data/users.json; null for a single-user site
+    async loadUser() {
+        const response = await fetch('data/users.json').catch(() => null);
+        const users = response && response.ok ? DashboardRender.normalizeUsers(await response.json()) : [];
+        return users.find(user => user.id === this.options.user) || users[0] || null;
+    }
+
+    // Title and the totals of all matching games, not only the cards shown
+    renderHeader(games, definitions) {
+        const header = document.getElementById('embed-header');
+        if (!this.options.header) {
+            header.remove();
+            return;
+        }
+
+        header.href = this.dashboardUrl();
+        if (this.options.platforms.length > 0) {
+            document.getElementById('embed-title').textContent = definitions.map(definition => definition.name).join(' · ');
+        }
+        // No achievement details: rare unlocks aren't shown
+        const stats = DashboardRender.computeStats(games, () => null, 10);
+        document.getElementById('embed-summary').textContent =
+            `${stats.totalAchievements} achievements · ${stats.completedGames} perfect game${stats.completedGames === 1 ? '' : 's'}`;
+    }
+
+    renderCards() {
+        const grid = document.getElementById('games-grid');
+        grid.classList.toggle('portrait-grid', this.options.portrait);
+        if (this.games.length === 0) {
+            this.showMessage('No games to show');
+            return;
+        }
+        grid.innerHTML = this.games.map(game => DashboardRender.createGameCard(game)).join('');
+    }
+
+    showMessage(text) {
+        const grid = document.getElementById('games-grid');
+        grid.innerHTML = `<p class="no-results">${DashboardRender.escapeHtml(text)}</p>`;
+        this.reportHeight();
+    }
+
+    // Cards open the game page of the dashboard in a new tab
+    setupEventListeners() {
+        document.querySelectorAll('.game-card').forEach(card => {
+            const open = () => {
+                const game = this.games.find(g => DashboardRender.generateGameId(g) === card.dataset.gameId);
+                if (game) window.open(this.dashboardUrl() + DashboardRender.getGameRoute(game), '_blank', 'noopener');
+            };
+            card.addEventListener('click', open);
+            card.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    open();
+                }
+            });
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.reportHeight()).observe(document.body);
+        }
+    }
+
+    // Dashboard with the same profile, and the same platform filter when it is a single platform
+    dashboardUrl() {
+        const url = new URL('./', window.location.href);
+        if (this.user && this.options.user === this.user.id) url.searchParams.set('user', this.user.id);
+        if (this.options.platforms.length === 1) url.searchParams.set('platform', this.options.platforms[0]);
+        return url.href;
+    }
+
+    reportHeight() {
+        if (window.parent === window) return;
+        window.parent.postMessage({ type: 'achievements-embed', height: document.documentElement.scrollHeight }, '*');
+    }
+}
+
+// Initialize the widget when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new EmbedWidget();
+});
@@ -0,0 +1,210 @@
+// Collection Export
+// CSV, JSON and Markdown exports and the trophy card image of a game list, shared by the dashboard's
+// Export menu (window.DashboardExport) and scripts/export.js
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./platforms'), require('./render'));
+    } else {
+        root.DashboardExport = factory(root.PlatformRegistry, root.DashboardRender);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PlatformRegistry, DashboardRender) {
+    const { AchievementProgress, escapeHtml } = DashboardRender;
+
+    /**
+     * Flat record of a game, as in the JSON export
+     * Games come from DashboardRender.expandPlatformGames: RetroAchievements subsets are one record each
+     * @param {Object} game
+     * @returns {Object}
+     */
+    function toRecord(game) {
+        const definition = PlatformRegistry.get(game.platform) || {};
+        const progress = AchievementProgress.calculate(game.totalAchievements, game.unlockedAchievements);
+        return {
+            name: game.name,
+            platform: game.platform,
+            platformName: definition.name || game.platform,
+            platformId: game.platformId,
+            parentId: game.isSubset ? game.parentId : null,
+            subset: game.subsetName || null,
+            console: game.console || definition.defaultConsole || null,
+            unlockedAchievements: progress.earned,
+            totalAchievements: progress.total,
+            completion: progress.percentage,
+            unlockedAchievementsHardcore: typeof game.unlockedAchievementsHardcore === 'number' ? game.unlockedAchievementsHardcore : null,
+            award: game.award || null,
+            lastAchievement: game.lastAchievement || null,
+            playedTime: game.playedTime || null,
+            tags: Array.isArray(game.tags) ? game.tags : [],
+            url: DashboardRender.getGameLink(game)
+        };
+    }
+
+    // CSV columns: record key and header
+    const CSV_COLUMNS = [
+        ['name', 'Game'],
+        ['platformName', 'Platform'],
+        ['platformId', 'Platform ID'],
+        ['parentId', 'Parent ID'],
+        ['subset', 'Subset'],
+        ['console', 'Console'],
+        ['unlockedAchievements', 'Unlocked'],
+        ['totalAchievements', 'Total'],
+        ['completion', 'Completion (%)'],
+        ['unlockedAchievementsHardcore', 'Unlocked (Hardcore)'],
+        ['award', 'Award'],
+        ['lastAchievement', 'Last Achievement'],
+        ['playedTime', 'Played (h)'],
+        ['tags', 'Tags'],
+        ['url', 'URL']
+    ];
+
+    // Text starting like a formula (=, +, -, @, tab, CR) gets a leading ' so spreadsheets show it as text
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = Array.isArray(value) ? value.join('; ') : String(value);
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(games) {
+        const lines = [CSV_COLUMNS.map(([, header]) => csvCell(header)).join(',')];
+        games.map(toRecord).forEach(record => {
+            lines.push(CSV_COLUMNS.map(([key]) => csvCell(record[key])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    function toJson(games) {
+        return JSON.stringify(games.map(toRecord), null, 2) + '\n';
+    }
+
+    function markdownCell(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+    }
+
+    function toMarkdown(games) {
+        const rows = games.map(toRecord).map(record => {
+            const name = markdownCell(record.name);
+            return [
+                record.url ? `[${name.replace(/[[\]]/g, '\\$&')}](${record.url})` : name,
+                markdownCell(record.platformName),
+                `${record.unlockedAchievements}/${record.totalAchievements}`,
+                `${record.completion}%`,
+                record.lastAchievement || '',
+                DashboardRender.formatPlayedTime(record.playedTime)
+            ];
+        });
+        return [
+            '| Game | Platform | Achievements | Completion | Last Achievement | Played |',
+            '| --- | --- | ---: | ---: | --- | ---: |',
+            ...rows.map(cells => `| ${cells.join(' | ')} |`)
+        ].join('\n') + '\n';
+    }
+
+    // Text exports by format id: file extension, MIME type and renderer
+    const FORMATS = {
+        csv: { name: 'CSV', extension: 'csv', type: 'text/csv', render: toCsv },
+        json: { name: 'JSON', extension: 'json', type: 'application/json', render: toJson },
+        markdown: { name: 'Markdown', extension: 'md', type: 'text/markdown', render: toMarkdown }
+    };
+
+    const CARD_WIDTH = 1200;
+    const CARD_HEIGHT = 630;
+    const CARD_FONT = "'Exo 2', 'Segoe UI', Helvetica, Arial, sans-serif";
+    const CARD_TITLE_FONT = "Orbitron, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+    function truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+    }
+
+    /**
+     * Trophy card: a summary image of a game list (1200x630, the size link previews use)
+     * Text only, so it renders the same as an <img> in browsers (which load nothing from inside an
+     * SVG image) and with sharp in scripts/export.js
+     * @param {Array} games
+     * @param {Object} [options]
+     * @param {function(Object): ?Array} [options.getDetails] - Achievement details of a game, for rare unlocks
+     * @param {number} [options.rareThreshold] - In percent of players
+     * @param {string} [options.subtitle] - Shown under the title, e.g. the active filters
+     * @param {string} [options.footer] - Shown bottom left, e.g. the site's address
+     * @returns {string} SVG markup
+     */
+    function createTrophyCard(games, { getDetails = () => null, rareThreshold = 10, subtitle = '', footer = '' } = {}) {
+        const stats = DashboardRender.computeStats(games, getDetails, rareThreshold);
+        const hasRarity = games.some(game => DashboardRender.countRareUnlocks(getDetails(game), rareThreshold) !== null);
+        const hours = games.reduce((sum, game) => sum + (game.playedTime || 0), 0);
+        const tiles = [
+            ['Achievements', stats.totalAchievements],
+            ['Perfect Games', `${stats.completedGames}/${games.length}`],
+            [`Rare (< ${rareThreshold}%)`, hasRarity ? stats.rareAchievements : '–'],
+            ['Hours Played', Math.round(hours)]
+        ].map(([label, value], i) => {
+            const x = 60 + i * 275;
+            return `
+    <rect x="${x}" y="170" width="255" height="120" rx="6" fill="#2d3440" stroke="#ffffff" stroke-opacity="0.08"/>
+    <text x="${x + 24}" y="238" font-size="44" font-weight="700" fill="#ffffff">${escapeHtml(String(value))}</text>
+    <text x="${x + 24}" y="270" font-size="20" fill="#8f98a0">${escapeHtml(label)}</text>`;
+        }).join('');
+
+        // Progress by platform, in registry order
+        const platforms = PlatformRegistry.all()
+            .map(definition => {
+                const entries = games.filter(game => game.platform === definition.id);
+                const progress = AchievementProgress.calculate(
+                    entries.reduce((sum, game) => sum + (game.totalAchievements || 0), 0),
+                    entries.reduce((sum, game) => sum + (game.unlockedAchievements || 0), 0)
+                );
+                return { definition, count: entries.length, progress };
+            })
+            .filter(platform => platform.count > 0)
+            .slice(0, 5);
+        const bars = platforms.map(({ definition, count, progress }, i) => {
+            const y = 372 + i * 44;
+            const width = Math.max(2, Math.round(progress.percentage * 3));
+            return `
+    <text x="60" y="${y + 16}" font-size="20" fill="#c7d5e0">${escapeHtml(definition.name)}</text>
+    <rect x="260" y="${y}" width="300" height="20" rx="3" fill="#171a21"/>
+    <rect x="260" y="${y}" width="${width}" height="20" rx="3" fill="${escapeHtml(definition.color || '#8599ad')}"/>
+    <text x="575" y="${y + 16}" font-size="18" fill="#8f98a0">${progress.earned}/${progress.total} · ${count} game${count === 1 ? '' : 's'}</text>`;
+        }).join('');
+
+        const recent = games
+            .filter(game => game.lastAchievement)
+            .sort((a, b) => new Date(b.lastAchievement) - new Date(a.lastAchievement))
+            .slice(0, 5)
+            .map((game, i) => {
+                const y = 388 + i * 44;
+                return `
+    <text x="790" y="${y}" font-size="20" fill="#c7d5e0">${escapeHtml(truncate(game.name, 22))}</text>
+    <text x="1140" y="${y}" font-size="18" fill="#8f98a0" text-anchor="end">${escapeHtml(DashboardRender.formatDate(game.lastAchievement))}</text>`;
+            }).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="${CARD_FONT}">
+    <defs>
+        <radialGradient id="background" cx="50%" cy="0%" r="100%">
+            <stop offset="0%" stop-color="#2d3440"/>
+            <stop offset="50%" stop-color="#1e2329"/>
+            <stop offset="100%" stop-color="#171a21"/>
+        </radialGradient>
+    </defs>
+    <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+    <g transform="translate(60 48) scale(0.16)" fill="#cdaa7d">
+        <path d="M176 128h160v96a80 80 0 0 1-160 0z"/>
+        <rect x="240" y="290" width="32" height="66"/>
+        <rect x="184" y="352" width="144" height="32" rx="8"/>
+        <path d="M176 144a40 40 0 0 0 0 80M336 144a40 40 0 0 1 0 80" fill="none" stroke="#cdaa7d" stroke-width="20"/>
+    </g>
+    <text x="150" y="92" font-family="${CARD_TITLE_FONT}" font-size="40" font-weight="700" fill="#ffffff">Gaming Achievements</text>
+    <text x="150" y="128" font-size="22" fill="#8f98a0">${escapeHtml(truncate(subtitle, 80))}</text>
+    ${tiles}
+    <text x="60" y="344" font-size="16" font-weight="600" fill="#cdaa7d" letter-spacing="2">BY PLATFORM</text>${bars}
+    <text x="790" y="344" font-size="16" font-weight="600" fill="#cdaa7d" letter-spacing="2">LATEST ACHIEVEMENTS</text>${recent}
+    <text x="60" y="600" font-size="16" fill="#5a6c7d">${escapeHtml(footer)}</text>
+    <text x="1140" y="600" font-size="16" fill="#5a6c7d" text-anchor="end">${escapeHtml(DashboardRender.formatDate(new Date().toISOString()))}</text>
+</svg>
+`;
+    }
+
+    return { toRecord, toCsv, toJson, toMarkdown, FORMATS, createTrophyCard, CARD_WIDTH, CARD_HEIGHT };
+});
@@ -0,0 +1,163 @@
+// Progress History
+// Dated snapshots of per-game achievement counts (data/history.json, appended by scripts/fetch-covers.js)
+// and the changes between two dates, shared by the dashboard's What Changed panel
+// (window.DashboardHistory), scripts/changes.js and the feeds of scripts/build-site.js
+//
+// data/history.json lists snapshots oldest first. The first holds every game; each later one only the
+// games whose counts changed, and null for games removed from the data files:
+//   [{ "date": "2026-10-12", "games": { "steam/413150": { "unlocked": 12, "total": 40 }, ... } },
+//    { "date": "2026-10-19", "games": { "steam/413150": { "unlocked": 15, "total": 40 } } }]
+// Games are keyed by DashboardRender.generateGameId: RetroAchievements subsets have entries of their own.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./render'));
+    } else {
+        root.DashboardHistory = factory(root.DashboardRender);
+    }
+})(typeof self !== 'undefined' ? self : this, function (DashboardRender) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Windows of the What Changed panel, in days
+    const PERIODS = [7, 30, 90];
+
+    /**
+     * Counts of a game list, as stored in a snapshot
+     * @param {Array} games - Games from DashboardRender.expandPlatformGames
+     * @returns {Object<string, {unlocked: number, total: number}>} Counts by game id
+     */
+    function getGameCounts(games) {
+        const counts = {};
+        games.forEach(game => {
+            counts[DashboardRender.generateGameId(game)] = {
+                unlocked: game.unlockedAchievements || 0,
+                total: game.totalAchievements || 0
+            };
+        });
+        return counts;
+    }
+
+    /**
+     * Counts of every game after the snapshots up to a date
+     * @param {Array} history - Snapshots, oldest first
+     * @param {?string} [date] - Last day included (YYYY-MM-DD), null for all snapshots
+     * @returns {Object<string, {unlocked: number, total: number}>} Counts by game id
+     */
+    function getStateAt(history, date = null) {
+        const state = {};
+        history
+            .filter(snapshot => date === null || snapshot.date <= date)
+            .forEach(snapshot => Object.entries(snapshot.games).forEach(([id, counts]) => {
+                if (counts) {
+                    state[id] = counts;
+                } else {
+                    delete state[id];
+                }
+            }));
+        return state;
+    }
+
+    // Games whose counts differ between two states, with null for those only in the first
+    function diffStates(previous, counts) {
+        const changes = {};
+        Object.entries(counts).forEach(([id, current]) => {
+            const old = previous[id];
+            if (!old || old.unlocked !== current.unlocked || old.total !== current.total) changes[id] = current;
+        });
+        Object.keys(previous).forEach(id => {
+            if (!counts[id]) changes[id] = null;
+        });
+        return changes;
+    }
+
+    /**
+     * Append the counts that changed since the last snapshot
+     * Runs on the same day share that day's snapshot
+     * @param {Array} history - Snapshots, oldest first; changed in place
+     * @param {Object} counts - Current counts (getGameCounts)
+     * @param {string} date - Day of the snapshot (YYYY-MM-DD)
+     * @returns {number} Games whose counts changed since the last snapshot (all games for the first one)
+     */
+    function recordSnapshot(history, counts, date) {
+        const changed = Object.keys(diffStates(getStateAt(history), counts)).length;
+        if (history.length > 0 && changed === 0) return 0;
+
+        // Rebuild today's snapshot against the day before, so a change undone the same day drops out
+        if (history.length > 0 && history[history.length - 1].date === date) history.pop();
+        const games = history.length === 0 ? { ...counts } : diffStates(getStateAt(history), counts);
+        if (history.length === 0 || Object.keys(games).length > 0) history.push({ date, games });
+        return history.length === 1 ? Object.keys(counts).length : changed;
+    }
+
+    // Day a window of the last `days` days starts on, today included (YYYY-MM-DD)
+    function getPeriodStart(days, today = new Date()) {
+        return new Date(today.getTime() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Changes from a day on: games started, games perfected and unlocks per game
+     * The baseline is the state before that day; when the history starts later, it is the first
+     * snapshot (what happened before it is unknown)
+     * @param {Array} history - Snapshots, oldest first
+     * @param {string} since - First day included (YYYY-MM-DD)
+     * @returns {{since: string, baseline: ?string, latest: ?string, unlocked: number, started: Array, perfected: Array, progressed: Array}}
+     *   baseline and latest are the dates of the snapshots compared (null without history). Entries are
+     *   { id, before, after, delta } with before null for games new to the data files; progressed holds
+     *   every game whose unlocks changed, most unlocks first
+     */
+    function diffHistory(history, since) {
+        const result = { since, baseline: null, latest: null, unlocked: 0, started: [], perfected: [], progressed: [] };
+        if (history.length === 0) return result;
+
+        const earlier = history.filter(snapshot => snapshot.date < since);
+        const baseline = earlier.length > 0 ? earlier : history.slice(0, 1);
+        result.baseline = baseline[baseline.length - 1].date;
+        result.latest = history[history.length - 1].date;
+
+        const before = getStateAt(baseline);
+        const after = getStateAt(history);
+        const isPerfect = counts => counts.total > 0 && counts.unlocked >= counts.total;
+
+        Object.entries(after).forEach(([id, counts]) => {
+            const previous = before[id] || null;
+            const entry = { id, before: previous, after: counts, delta: counts.unlocked - (previous ? previous.unlocked : 0) };
+
+            if (counts.unlocked > 0 && (!previous || previous.unlocked === 0)) result.started.push(entry);
+            if (isPerfect(counts) && !(previous && isPerfect(previous) && previous.total === counts.total)) result.perfected.push(entry);
+            if (entry.delta !== 0) result.progressed.push(entry);
+        });
+
+        result.progressed.sort((a, b) => b.delta - a.delta);
+        result.unlocked = result.progressed.reduce((sum, entry) => sum + entry.delta, 0);
+        return result;
+    }
+
+    /**
+     * Day each game reached its current perfect state (every achievement of its current total unlocked)
+     * Games already perfect in the first snapshot are left out: when they got there is unknown
+     * @param {Array} history - Snapshots, oldest first
+     * @returns {Object<string, string>} Snapshot dates (YYYY-MM-DD) by game id
+     */
+    function getPerfectDates(history) {
+        const dates = {};
+        const state = {};
+        const isPerfect = counts => Boolean(counts) && counts.total > 0 && counts.unlocked >= counts.total;
+
+        history.forEach((snapshot, index) => Object.entries(snapshot.games).forEach(([id, counts]) => {
+            const previous = state[id];
+            if (!isPerfect(counts)) {
+                delete dates[id];
+            } else if (!(isPerfect(previous) && previous.total === counts.total) && index > 0) {
+                dates[id] = snapshot.date;
+            }
+            if (counts) {
+                state[id] = counts;
+            } else {
+                delete state[id];
+            }
+        }));
+        return dates;
+    }
+
+    return { PERIODS, getGameCounts, getStateAt, recordSnapshot, getPeriodStart, diffHistory, getPerfectDates };
+});
@@ -1,80 +1,5 @@
 // Achievement Dashboard JavaScript
 
-/**
- * Achievement Progress Calculator
- * Handles progress calculation and UI generation for achievement bars
- */
-class AchievementProgress {
-    /**
-     * Calculate progress and generate UI data
-     * @param {number} totalAchievements - Total achievements available
-     * @param {number} earnedAchievements - Achievements unlocked by user
-     * @returns {Object} Progress data object
-     */
-    static calculate(totalAchievements, earnedAchievements) {
-        const total = this.sanitizeNumber(totalAchievements);
-        const earned = this.sanitizeNumber(earnedAchievements);
-
-        if (total === 0) {
-            return {
-                percentage: 0,
-                displayPercentage: '0%',
-                earned: 0,
-                total: 0,
-                isComplete: false,
-                status: 'No Achievements',
-                barWidth: '2px',
-                cssClass: '',
-                showRibbon: false
-            };
-        }
-
-        const cappedEarned = Math.min(earned, total);
-        const rawPercentage = (cappedEarned / total) * 100;
-        const percentage = Math.round(rawPercentage);
-        const isComplete = cappedEarned === total && total > 0;
-
-        let barWidth;
-        if (percentage === 0) {
-            barWidth = '2px';
-        } else if (percentage < 1) {
-            barWidth = '2px';
-        } else {
-            barWidth = `${percentage}%`;
-        }
-
-        let status;
-        if (isComplete) {
-            status = 'Complete';
-        } else if (percentage === 0) {
-            status = 'Not Started';
-        } else if (percentage < 25) {
-            status = 'Started';
-        } else if (percentage < 75) {
-            status = 'In Progress';
-        } else {
-            status = 'Almost There';
-        }
-
-        return {
-            percentage,
-            displayPercentage: `${percentage}%`,
-            earned: cappedEarned,
-            total,
-            isComplete,
-            status,
-            barWidth,
-            cssClass: isComplete ? 'complete' : '',
-            showRibbon: isComplete
-        };
-    }
-
-    static sanitizeNumber(value) {
-        const num = Number(value);
-        return Number.isFinite(num) && num >= 0 ? Math.floor(num) : 0;
-    }
-}
-
 class AchievementDashboard {
     constructor() {
         this.achievements = [];
@@ -82,15 +7,21 @@ class AchievementDashboard {
         this.currentPlatform = 'all';
         this.currentSort = 'recent';
         this.currentRarity = 'all';
+        this.currentView = 'platform';
+        this.currentLayout = 'cards';
         this.searchQuery = '';
         this.includedTags = new Set();
         this.excludedTags = new Set();
         this.allTags = new Set();
-        this.platformColors = {
-            steam: '#66c0f4',
-            gog: '#a861d6',
-            retroachievements: '#ffcc00'
-        };
+        this.achievementDetails = new Map();
+        this.users = []; // Team profiles of data/users.json, empty for a single-user site
+        this.currentUser = null;
+        this.compareUsers = false;
+        this.profiles = new Map(); // Games and achievement details of the loaded profiles, by user id
+        this.charts = {}; // Chart instances by canvas id, destroyed before a chart is redrawn
+        this.cardsRendered = false;
+        this.rareThreshold = this.readRareThreshold();
+        this.defaultTitle = document.title;
 
         // Call init but don't await in constructor
         this.init().catch(error => {
@@ -100,101 +31,149 @@ class AchievementDashboard {
     }
 
     async init() {
+        this.serviceWorker = this.setupOfflineSupport();
+        await PlatformRegistry.load();
+        this.users = await this.loadUsers();
+        this.renderPlatformOptions();
+        this.renderUserOptions();
+        this.readUrlState();
+        // Cards pre-rendered by scripts/build-site.js show the files in data/, not another profile's
+        if (this.getDataDir() !== 'data') this.cardsRendered = true;
         await this.loadAchievements();
+        if (this.compareUsers) await this.loadProfiles();
         this.setupEventListeners();
-        this.updateStats();
+        this.syncFilterControls();
+        this.applyFilters({ replaceUrl: true });
+        this.renderCharts();
+        this.admin = typeof AdminPanel !== 'undefined' ? await AdminPanel.create(this) : null;
+        this.team = typeof TeamView !== 'undefined' ? await TeamView.create(this) : null;
+        this.changesPanel = typeof ChangesPanel !== 'undefined' ? await ChangesPanel.create(this) : null;
+        this.renderRoute();
+        this.loadAllAchievementDetails();
+        this.cacheCoversOffline();
+    }
+
+    // Reload the data files after a local edit (js/admin.js)
+    async reloadData() {
+        await this.loadAchievements({ cache: 'no-store' });
+        // The other profiles are loaded again by the team view and compared charts
+        this.profiles.forEach((profile, id) => {
+            if (profile.user !== this.currentUser) this.profiles.delete(id);
+        });
+        if (this.team || this.compareUsers) await this.loadProfiles();
+        if (this.changesPanel) await this.changesPanel.load({ cache: 'no-store' });
+        this.syncFilterControls();
+        this.applyFilters({ replaceUrl: true });
         this.renderCharts();
-        this.renderAchievements();
     }
 
-    async loadAchievements() {
+    // Service worker (sw.js) and offline banner. Not under the live reload of server.js, which wants
+    // every file fresh: workers registered by an earlier visit are removed there
+    // Resolves to the worker's registration, null without one
+    async setupOfflineSupport() {
+        const banner = document.getElementById('offline-banner');
+        const updateBanner = () => {
+            if (banner) banner.hidden = navigator.onLine;
+        };
+        window.addEventListener('online', updateBanner);
+        window.addEventListener('offline', updateBanner);
+        updateBanner();
+
+        if (!('serviceWorker' in navigator)) return null;
         try {
-            // Load data from separate platform files
-            const platforms = ['steam', 'gog', 'retroachievements'];
-            const allGames = [];
-
-            for (const platform of platforms) {
-                try {
-                    const response = await fetch(`data/${platform}.json`);
-                    if (!response.ok) {
-                        console.warn(`Could not load ${platform}.json: ${response.status}`);
-                        continue;
-                    }
+            if (document.querySelector('script[data-live-reload]')) {
+                const registrations = await navigator.serviceWorker.getRegistrations();
+                await Promise.all(registrations.map(registration => registration.unregister()));
+                return null;
+            }
+            return await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return null;
+        }
+    }
 
-                    const platformGames = await response.json();
-
-                    if (Array.isArray(platformGames)) {
-                        // Add platform info to each game
-                        platformGames.forEach(game => {
-                            // Handle RetroAchievements games with subsets - expand into separate entries
-                            if (platform === 'retroachievements' && game.subsets && typeof game.subsets === 'object') {
-                                Object.entries(game.subsets).forEach(([key, subset]) => {
-                                    // 'Base' uses the parent platformId, otherwise use the subset key as ID
-                                    const isBase = key === 'Base';
-                                    const setId = isBase ? game.platformId : key;
-                                    // Build display name: Base uses parent name, subsets use "ParentName: SubsetName"
-                                    const displayName = isBase
-                                        ? (game.name || null)
-                                        : (game.name && subset.name ? `${game.name}: ${subset.name}` : subset.name || null);
-                                    allGames.push({
-                                        ...game,
-                                        // Override with subset-specific data
-                                        platformId: setId,
-                                        // Store parent ID and subset info for link generation
-                                        parentId: game.platformId,
-                                        isSubset: !isBase,
-                                        subsetId: isBase ? null : key,
-                                        name: displayName,
-                                        coverImage: subset.coverImage || null,
-                                        totalAchievements: subset.totalAchievements,
-                                        unlockedAchievements: subset.unlockedAchievements,
-                                        lastAchievement: subset.lastAchievement || game.lastAchievement,
-                                        playedTime: subset.playedTime || game.playedTime,
-                                        // Tags are shared from parent
-                                        tags: game.tags,
-                                        platform: platform,
-                                        // Remove subsets to avoid confusion
-                                        subsets: undefined
-                                    });
-                                });
-                            } else {
-                                allGames.push({
-                                    ...game,
-                                    platform: platform
-                                });
-                            }
-                        });
-                    }
-                } catch (error) {
-                    console.warn(`Error loading ${platform}.json:`, error);
+    // Have the service worker cache every cover, not only those scrolled into view, so all cards show offline
+    async cacheCoversOffline() {
+        if (!await this.serviceWorker) return;
+        const registration = await navigator.serviceWorker.ready;
+        // Covers left out are dropped from the cache: list those of every profile
+        const games = this.users.length > 0
+            ? (await this.loadProfiles()).flatMap(profile => profile.games)
+            : this.achievements;
+        const files = new Set(games.flatMap(game => DashboardRender.getCoverFiles(game)));
+        registration.active.postMessage({ type: 'cache-covers', urls: [...files] });
+    }
+
+    readRareThreshold() {
+        // <meta name="rare-threshold" content="10"> in index.html, in percent of players
+        const meta = document.querySelector('meta[name="rare-threshold"]');
+        const threshold = meta ? parseFloat(meta.content) : NaN;
+        return Number.isFinite(threshold) && threshold > 0 ? threshold : 10;
+    }
+
+    // Team profiles of data/users.json; without the file there is one user, whose files are in data/
+    async loadUsers() {
+        try {
+            const response = await fetch('data/users.json');
+            return response.ok ? DashboardRender.normalizeUsers(await response.json()) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Directory of the current profile's data files
+    getDataDir() {
+        return this.currentUser ? this.currentUser.dataDir : 'data';
+    }
+
+    /**
+     * Load the games of a profile from its platform files
+     * @param {?Object} user - Profile of data/users.json, null for data/
+     * @param {Object} [options]
+     * @param {string} [options.cache='default'] - Cache mode of the requests
+     * @returns {Promise<Array>} Games sorted by most recent achievement
+     */
+    async fetchGames(user, { cache = 'default' } = {}) {
+        const allGames = [];
+
+        for (const definition of PlatformRegistry.all()) {
+            const dataFile = DashboardRender.getUserDataFile(definition.dataFile, user);
+            try {
+                const response = await fetch(dataFile, { cache });
+                if (!response.ok) {
+                    console.warn(`Could not load ${dataFile}: ${response.status}`);
+                    continue;
                 }
+
+                const platformGames = await response.json();
+                allGames.push(...DashboardRender.expandPlatformGames(definition, platformGames));
+            } catch (error) {
+                console.warn(`Error loading ${dataFile}:`, error);
+            }
+        }
+
+        // Names should already be in platform files; fill defaults and sort by most recent
+        return DashboardRender.prepareGames(allGames);
+    }
+
+    async loadAchievements({ cache = 'default' } = {}) {
+        try {
+            if (this.currentUser) {
+                // Details already loaded for the profile stay (live reload drops those that changed)
+                const profile = this.profiles.get(this.currentUser.id);
+                this.achievementDetails = profile ? profile.details : new Map();
             }
 
+            const allGames = await this.fetchGames(this.currentUser, { cache });
             if (allGames.length === 0) {
                 throw new Error('No games data found');
             }
 
-            // Load games data - names should already be in platform files
-            this.achievements = allGames.map((game) => {
-                const coverImage = game.coverImage || this.generateCoverImagePath(game);
-                return {
-                    ...game,
-                    name: game.name || `Unknown Game (${game.platformId})`,
-                    coverImage: coverImage,
-                    isCompleted: game.lastAchievement !== null,
-                    lastPlayed: game.lastAchievement || new Date().toISOString().split('T')[0]
-                };
-            });
-
-            // Sort achievements
-            this.achievements.sort((a, b) => {
-                if (a.lastAchievement && b.lastAchievement) {
-                    return new Date(b.lastAchievement) - new Date(a.lastAchievement);
-                }
-                if (a.lastAchievement && !b.lastAchievement) return -1;
-                if (!a.lastAchievement && b.lastAchievement) return 1;
-                return a.name.localeCompare(b.name);
-            });
+            this.achievements = allGames;
+            if (this.currentUser) {
+                this.profiles.set(this.currentUser.id, { user: this.currentUser, games: allGames, details: this.achievementDetails });
+            }
 
             this.filteredAchievements = [...this.achievements];
             this.extractAllTags();
@@ -204,6 +183,70 @@ class AchievementDashboard {
         }
     }
 
+    /**
+     * Games and achievement details of a profile, for the team view and compared charts
+     * Loaded once; details are filled in by loadProfileDetails
+     * @param {Object} user - Profile of data/users.json
+     * @returns {Promise<{user: Object, games: Array, details: Map}>}
+     */
+    async loadProfile(user) {
+        if (!this.profiles.has(user.id)) {
+            const games = await this.fetchGames(user);
+            // The current profile may have been loaded meanwhile
+            if (!this.profiles.has(user.id)) this.profiles.set(user.id, { user, games, details: new Map() });
+        }
+        return this.profiles.get(user.id);
+    }
+
+    // Every profile of data/users.json, in its order
+    async loadProfiles() {
+        return Promise.all(this.users.map(user => this.loadProfile(user)));
+    }
+
+    async loadProfileDetails(profile) {
+        await Promise.all(profile.games
+            .filter(game => game.platformId)
+            .map(game => this.loadAchievementDetails(game, profile)));
+    }
+
+    // Loaded profiles in data/users.json order
+    getLoadedProfiles() {
+        return this.users.map(user => this.profiles.get(user.id)).filter(Boolean);
+    }
+
+    // Profiles drawn side by side in the charts, null when not comparing
+    getComparedProfiles() {
+        return this.compareUsers ? this.getLoadedProfiles() : null;
+    }
+
+    // Show another profile of data/users.json: its games, charts and open game page
+    async showUser(user) {
+        this.currentUser = user;
+        try {
+            await this.loadAchievements();
+        } catch (error) {
+            this.achievements = [];
+            this.filteredAchievements = [];
+            this.extractAllTags();
+        }
+        if (this.changesPanel) await this.changesPanel.load();
+        this.syncFilterControls();
+        this.applyFilters();
+        this.renderCharts();
+        if (this.admin) this.admin.updateVisibility();
+        if (this.getRouteGameId()) this.renderRoute();
+        this.loadAllAchievementDetails();
+    }
+
+    // Charts of every profile side by side, or of the current one
+    async setCompareUsers(compare) {
+        this.compareUsers = compare;
+        if (compare) await this.loadProfiles();
+        this.updateUrlState();
+        this.renderCharts();
+        if (compare) this.loadAllAchievementDetails();
+    }
+
     extractAllTags() {
         this.allTags.clear();
         this.achievements.forEach(game => {
@@ -233,6 +276,7 @@ class AchievementDashboard {
         sortedTags.forEach(tag => {
             const tagItem = document.createElement('div');
             tagItem.className = 'tag-item';
+            tagItem.dataset.tag = tag;
 
             const checkbox = document.createElement('input');
             checkbox.type = 'checkbox';
@@ -243,6 +287,7 @@ class AchievementDashboard {
             includeBtn.className = 'tag-mode-btn include-btn';
             includeBtn.innerHTML = '<i class="fas fa-plus"></i>';
             includeBtn.title = 'Include';
+            includeBtn.classList.toggle('active', this.includedTags.has(tag));
             includeBtn.addEventListener('click', (e) => {
                 e.preventDefault();
                 if (this.includedTags.has(tag)) {
@@ -262,6 +307,7 @@ class AchievementDashboard {
             excludeBtn.className = 'tag-mode-btn exclude-btn';
             excludeBtn.innerHTML = '<i class="fas fa-minus"></i>';
             excludeBtn.title = 'Exclude';
+            excludeBtn.classList.toggle('active', this.excludedTags.has(tag));
             excludeBtn.addEventListener('click', (e) => {
                 e.preventDefault();
                 if (this.excludedTags.has(tag)) {
@@ -307,15 +353,29 @@ class AchievementDashboard {
 
 
 
-    generateCoverImagePath(game) {
-        // Generate standardized cover image paths
-        const coverPaths = {
-            steam: `assets/covers/steam/${game.platformId}.jpg`,
-            gog: `assets/covers/gog/${game.platformId}.jpg`,
-            retroachievements: `assets/covers/retroachievements/${game.platformId}.jpg`
-        };
+    // Profile switcher, shown when data/users.json lists more than one profile
+    renderUserOptions() {
+        const userFilter = document.getElementById('user-filter');
+        const userSelect = document.getElementById('user-select');
+        if (!userFilter || !userSelect || this.users.length < 2) return;
+
+        userSelect.innerHTML = this.users
+            .map(user => `<option value="${DashboardRender.escapeHtml(user.id)}">${DashboardRender.escapeHtml(user.name)}</option>`)
+            .join('');
+        userFilter.hidden = false;
+    }
 
-        return coverPaths[game.platform] || null;
+    renderPlatformOptions() {
+        const platformSelect = document.getElementById('platform-select');
+        if (!platformSelect) return;
+
+        PlatformRegistry.all().forEach(definition => {
+            if (platformSelect.querySelector(`option[value="${definition.id}"]`)) return;
+            const option = document.createElement('option');
+            option.value = definition.id;
+            option.textContent = definition.name;
+            platformSelect.appendChild(option);
+        });
     }
 
     setupEventListeners() {
@@ -365,7 +425,8 @@ class AchievementDashboard {
                 clearTimeout(searchTimeout);
                 searchTimeout = setTimeout(() => {
                     this.searchQuery = e.target.value.toLowerCase();
-                    this.applyFilters();
+                    // Typing replaces the history entry instead of adding one per keystroke
+                    this.applyFilters({ replaceUrl: true });
                 }, 150); // 150ms debounce
             });
         }
@@ -377,6 +438,19 @@ class AchievementDashboard {
                 this.currentSort = e.target.value;
                 this.applySorting();
                 this.renderAchievements();
+                this.updateUrlState();
+            });
+        }
+
+        // Export menu: one-shot action, the select goes back to its placeholder
+        const exportSelect = document.getElementById('export-select');
+        if (exportSelect) {
+            exportSelect.addEventListener('change', (e) => {
+                const format = e.target.value;
+                e.target.value = '';
+                if (format) {
+                    this.exportGames(format).catch(error => console.error('Export failed:', error));
+                }
             });
         }
 
@@ -388,10 +462,211 @@ class AchievementDashboard {
                 this.applyFilters();
             });
         }
+
+        // View: one card per platform entry, or one card per game across platforms
+        const viewSelect = document.getElementById('view-select');
+        if (viewSelect) {
+            viewSelect.addEventListener('change', (e) => {
+                this.currentView = e.target.value;
+                this.applyFilters();
+            });
+        }
+
+        // Layout: cards sized by cover shape, or a grid of same-sized portrait tiles
+        const layoutSelect = document.getElementById('layout-select');
+        if (layoutSelect) {
+            layoutSelect.addEventListener('change', (e) => {
+                this.currentLayout = e.target.value;
+                this.applyFilters();
+            });
+        }
+
+        // Team profiles (data/users.json): switcher and charts compared side by side
+        const userSelect = document.getElementById('user-select');
+        if (userSelect) {
+            userSelect.addEventListener('change', (e) => {
+                const user = this.users.find(u => u.id === e.target.value);
+                if (user) this.showUser(user);
+            });
+        }
+
+        const compareToggle = document.getElementById('compare-toggle');
+        if (compareToggle) {
+            compareToggle.addEventListener('change', (e) => this.setCompareUsers(e.target.checked));
+        }
+
+        // Back/forward: restore the filters saved in the URL
+        window.addEventListener('popstate', () => {
+            const user = this.currentUser;
+            const compare = this.compareUsers;
+            this.readUrlState();
+            this.syncFilterControls();
+            if (this.currentUser !== user) {
+                this.showUser(this.currentUser);
+            } else if (this.compareUsers !== compare) {
+                this.setCompareUsers(this.compareUsers);
+                this.applyFilters();
+            } else {
+                this.applyFilters();
+            }
+        });
+
+        // Game pages: #/game/<platform>/<id> links open the modal; the close button, a click beside it and Escape close it
+        window.addEventListener('hashchange', () => this.renderRoute());
+        const modal = document.getElementById('achievement-modal');
+        if (modal) {
+            document.getElementById('close-modal').addEventListener('click', () => this.closeGamePage());
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeGamePage();
+            });
+        }
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal && modal.classList.contains('open')) {
+                this.closeGamePage();
+            }
+        });
+
+        // Live reload of server.js: refresh the data in place instead of reloading the page
+        window.addEventListener('datachange', (e) => {
+            e.preventDefault();
+            this.refreshChangedData(e.detail.paths);
+        });
+    }
+
+    // Data files changed on disk (paths relative to the site root, e.g. data/steam.json)
+    async refreshChangedData(paths) {
+        paths.forEach(file => {
+            const match = file.match(/^(.+)\/achievements\/(.+)\.json$/);
+            if (match && match[1] === this.getDataDir()) this.achievementDetails.delete(match[2]);
+        });
+
+        await this.reloadData();
+        if (this.getRouteGameId()) this.renderRoute();
+        this.loadAllAchievementDetails();
     }
 
-    applyFilters() {
-        this.filteredAchievements = this.achievements.filter(game => {
+    /**
+     * Restore filter state from the query string
+     * ?platform=steam&tag=Roguelite&exclude=Idle&sort=playtime&view=game&layout=portrait&q=hades&user=alice&compare=1
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+
+        // The first profile of data/users.json unless another is chosen
+        this.currentUser = this.users.find(user => user.id === params.get('user')) || this.users[0] || null;
+        this.compareUsers = this.users.length > 1 && params.get('compare') === '1';
+
+        const platform = params.get('platform');
+        this.currentPlatform = platform && PlatformRegistry.get(platform) ? platform : 'all';
+
+        const sort = params.get('sort');
+        const sortSelect = document.getElementById('sort-select');
+        const validSort = sort && (!sortSelect || Array.from(sortSelect.options).some(option => option.value === sort));
+        this.currentSort = validSort ? sort : 'recent';
+
+        const rarity = params.get('rarity');
+        const rarityFilter = document.getElementById('rarity-filter');
+        const validRarity = rarity && (!rarityFilter || Array.from(rarityFilter.options).some(option => option.value === rarity));
+        this.currentRarity = validRarity ? rarity : 'all';
+        this.currentView = params.get('view') === 'game' ? 'game' : 'platform';
+        this.currentLayout = params.get('layout') === 'portrait' ? 'portrait' : 'cards';
+        this.searchQuery = (params.get('q') || '').toLowerCase();
+        this.includedTags = new Set(params.getAll('tag'));
+        this.excludedTags = new Set(params.getAll('exclude').filter(tag => !this.includedTags.has(tag)));
+    }
+
+    /**
+     * Write filter state to the query string (default values are left out)
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace the current history entry instead of adding one
+     */
+    updateUrlState({ replace = false } = {}) {
+        const params = new URLSearchParams(window.location.search);
+        ['user', 'compare', 'platform', 'tag', 'exclude', 'sort', 'rarity', 'view', 'layout', 'q'].forEach(key => params.delete(key));
+
+        if (this.currentUser && this.currentUser !== this.users[0]) params.set('user', this.currentUser.id);
+        if (this.compareUsers) params.set('compare', '1');
+
+        if (this.currentPlatform !== 'all') params.set('platform', this.currentPlatform);
+        [...this.includedTags].sort().forEach(tag => params.append('tag', tag));
+        [...this.excludedTags].sort().forEach(tag => params.append('exclude', tag));
+        if (this.currentSort !== 'recent') params.set('sort', this.currentSort);
+        if (this.currentRarity !== 'all') params.set('rarity', this.currentRarity);
+        if (this.currentView !== 'platform') params.set('view', this.currentView);
+        if (this.currentLayout !== 'cards') params.set('layout', this.currentLayout);
+        if (this.searchQuery) params.set('q', this.searchQuery);
+
+        const query = params.toString();
+        const search = query ? `?${query}` : '';
+        if (search === window.location.search) return;
+
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    // Update the filter controls after the state changed outside of them (init, back/forward)
+    syncFilterControls() {
+        const userSelect = document.getElementById('user-select');
+        if (userSelect && this.currentUser) userSelect.value = this.currentUser.id;
+
+        const compareToggle = document.getElementById('compare-toggle');
+        if (compareToggle) compareToggle.checked = this.compareUsers;
+
+        const platformSelect = document.getElementById('platform-select');
+        if (platformSelect) platformSelect.value = this.currentPlatform;
+
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = this.searchQuery;
+
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) sortSelect.value = this.currentSort;
+
+        const rarityFilter = document.getElementById('rarity-filter');
+        if (rarityFilter) rarityFilter.value = this.currentRarity;
+
+        const viewSelect = document.getElementById('view-select');
+        if (viewSelect) viewSelect.value = this.currentView;
+
+        const layoutSelect = document.getElementById('layout-select');
+        if (layoutSelect) layoutSelect.value = this.currentLayout;
+
+        document.querySelectorAll('.tag-item').forEach(item => {
+            const tag = item.dataset.tag;
+            item.querySelector('.include-btn').classList.toggle('active', this.includedTags.has(tag));
+            item.querySelector('.exclude-btn').classList.toggle('active', this.excludedTags.has(tag));
+        });
+        this.updateTagFilterLabel();
+    }
+
+    /**
+     * Filter, sort and render the games, then save the filters to the URL
+     * @param {Object} [options]
+     * @param {boolean} [options.replaceUrl=false] - Replace the current history entry instead of adding one
+     */
+    applyFilters({ replaceUrl = false } = {}) {
+        this.filteredAchievements = this.filterGames(this.achievements);
+
+        this.applySorting();
+        this.updateStats();
+        this.renderAchievements();
+        this.renderActivityCharts();
+        if (this.team) this.team.render();
+        if (this.changesPanel) this.changesPanel.render();
+        this.updateUrlState({ replace: replaceUrl });
+    }
+
+    /**
+     * Games matching the current filters
+     * @param {Array} games - Games of a profile
+     * @param {Map} [details] - Achievement details of the profile, for the rarity filter
+     * @returns {Array}
+     */
+    filterGames(games, details = this.achievementDetails) {
+        return games.filter(game => {
             // Platform filter
             if (this.currentPlatform !== 'all' && game.platform !== this.currentPlatform) {
                 return false;
@@ -418,6 +693,14 @@ class AchievementDashboard {
                 }
             }
 
+            // Rarity filter (games without rarity data only show under 'all')
+            if (this.currentRarity !== 'all') {
+                const rareUnlocks = this.countRareUnlocks(game, details);
+                if (rareUnlocks === null) return false;
+                if (this.currentRarity === 'rare' && rareUnlocks === 0) return false;
+                if (this.currentRarity === 'common' && rareUnlocks > 0) return false;
+            }
+
             // Search filter
             if (this.searchQuery) {
                 const searchLower = this.searchQuery.toLowerCase();
@@ -430,63 +713,34 @@ class AchievementDashboard {
 
             return true;
         });
-
-        this.applySorting();
-        this.updateStats();
-        this.renderAchievements();
     }
 
     applySorting() {
-        this.filteredAchievements.sort((a, b) => {
-            switch (this.currentSort) {
-                case 'name':
-                    return a.name.localeCompare(b.name);
-                case 'completion':
-                    const completionA = (a.unlockedAchievements / a.totalAchievements) * 100;
-                    const completionB = (b.unlockedAchievements / b.totalAchievements) * 100;
-                    return completionB - completionA;
-                case 'playtime':
-                    const timeA = a.playedTime || 0;
-                    const timeB = b.playedTime || 0;
-                    return timeB - timeA;
-                case 'recent':
-                default:
-                    // Sort by completion date (completed games first, then by date)
-                    if (a.lastAchievement && b.lastAchievement) {
-                        return new Date(b.lastAchievement) - new Date(a.lastAchievement);
-                    }
-                    if (a.lastAchievement && !b.lastAchievement) return -1;
-                    if (!a.lastAchievement && b.lastAchievement) return 1;
-                    return a.name.localeCompare(b.name);
-            }
-        });
+        DashboardRender.sortGames(this.filteredAchievements, this.currentSort);
     }
 
-    getGameLink(game) {
-        if (!game.platformId) return null;
-
-        if (game.platform === 'retroachievements') {
-            const baseUrl = `https://retroachievements.org/game/${game.parentId || game.platformId}`;
-            // Add ?set= parameter for subsets
-            return game.isSubset && game.subsetId ? `${baseUrl}?set=${game.subsetId}` : baseUrl;
-        }
+    updateStats() {
+        const stats = DashboardRender.computeStats(
+            this.filteredAchievements,
+            game => this.achievementDetails.get(`${game.platform}/${game.platformId}`),
+            this.rareThreshold,
+            { unique: this.currentView === 'game' }
+        );
 
-        const linkTemplates = {
-            steam: `https://steamcommunity.com/stats/${game.platformId}/achievements`,
-            gog: `https://www.gog.com/game/${game.platformId}`
-        };
+        document.getElementById('total-achievements').textContent = stats.totalAchievements;
+        document.getElementById('rare-achievements').textContent = stats.rareAchievements;
+        document.getElementById('completed-games').textContent = stats.completedGames;
 
-        return linkTemplates[game.platform] || null;
+        const rareLabel = document.getElementById('rare-achievements-label');
+        if (rareLabel) rareLabel.textContent = `Rare Achievements (< ${this.rareThreshold}%)`;
     }
 
-    updateStats() {
-        const totalAchievements = this.filteredAchievements.reduce((sum, game) => sum + game.unlockedAchievements, 0);
-        const completedGames = this.filteredAchievements.filter(game =>
-            game.totalAchievements > 0 && game.unlockedAchievements === game.totalAchievements
-        ).length;
-
-        document.getElementById('total-achievements').textContent = totalAchievements;
-        document.getElementById('rare-achievements').textContent = completedGames;
+    // Rare unlocks of a game, null when its details are not loaded or have no rarity data
+    countRareUnlocks(game, details = this.achievementDetails) {
+        return DashboardRender.countRareUnlocks(
+            details.get(`${game.platform}/${game.platformId}`),
+            this.rareThreshold
+        );
     }
 
     renderAchievements() {
@@ -507,19 +761,32 @@ class AchievementDashboard {
         if (noResults) noResults.style.display = 'none';
 
         if (gamesGrid) {
-            gamesGrid.innerHTML = this.filteredAchievements.map(game => this.createGameCard(game)).join('');
+            gamesGrid.classList.toggle('portrait-grid', this.currentLayout === 'portrait');
+
+            // Game view: one card for the entries of a game on several platforms
+            const groups = this.currentView === 'game'
+                ? DashboardRender.groupGames(this.filteredAchievements)
+                : this.filteredAchievements.map(game => [game]);
+
+            // First render: keep the cards pre-rendered by scripts/build-site.js when they are the same games
+            const renderedIds = Array.from(gamesGrid.querySelectorAll('.game-card')).map(card => card.dataset.gameId);
+            const gameIds = groups.map(group => DashboardRender.generateGameId(group[0]));
+            if (this.cardsRendered || renderedIds.join('\n') !== gameIds.join('\n')) {
+                gamesGrid.innerHTML = groups.map(group => group.length > 1
+                    ? DashboardRender.createGroupCard(group)
+                    : DashboardRender.createGameCard(group[0])
+                ).join('');
+            }
+            this.cardsRendered = true;
         }
 
         // Add click and keyboard listeners to game cards
         document.querySelectorAll('.game-card').forEach(card => {
             const handleCardActivation = () => {
                 const gameId = card.dataset.gameId;
-                const game = this.achievements.find(g => this.generateGameId(g.name) === gameId);
+                const game = this.achievements.find(g => DashboardRender.generateGameId(g) === gameId);
                 if (game) {
-                    const link = this.getGameLink(game);
-                    if (link) {
-                        window.open(link, '_blank', 'noopener,noreferrer');
-                    }
+                    window.location.hash = DashboardRender.getGameRoute(game);
                 }
             };
 
@@ -539,9 +806,13 @@ class AchievementDashboard {
                 const tooltip = document.createElement('div');
                 tooltip.className = 'game-tooltip';
                 tooltip.id = 'game-tooltip';
-                tooltip.innerHTML = tooltipText.split('\n').map((line, i) =>
-                    i === 0 ? `<div class="tooltip-title">${line}</div>` : `<div class="tooltip-line">${line}</div>`
-                ).join('');
+                // Plain text: names and tags come from the data files
+                tooltipText.split('\n').forEach((line, i) => {
+                    const row = document.createElement('div');
+                    row.className = i === 0 ? 'tooltip-title' : 'tooltip-line';
+                    row.textContent = line;
+                    tooltip.appendChild(row);
+                });
 
                 document.body.appendChild(tooltip);
 
@@ -577,196 +848,519 @@ class AchievementDashboard {
         });
     }
 
-    generateGameId(gameName) {
-        return gameName
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')
-            .replace(/^-|-$/g, '');
-    }
-
-    createGameCard(game) {
-        const completionPercentage = Math.round((game.unlockedAchievements / game.totalAchievements) * 100);
+    /**
+     * Achievements of a game (data/achievements/<platform>/<id>.json), loaded once
+     * @param {Object} game
+     * @param {?Object} [profile] - Team profile the game belongs to, the current one by default
+     * @returns {Promise<?Array>}
+     */
+    async loadAchievementDetails(game, profile = null) {
+        const key = `${game.platform}/${game.platformId}`;
+        const loaded = profile ? profile.details : this.achievementDetails;
+        if (loaded.has(key)) {
+            return loaded.get(key);
+        }
 
-        // Calculate progress data
-        const progressData = AchievementProgress.calculate(
-            game.totalAchievements,
-            game.unlockedAchievements
-        );
+        let details = null;
+        try {
+            const file = DashboardRender.getUserDataFile(`data/achievements/${key}.json`, profile ? profile.user : this.currentUser);
+            const response = await fetch(file);
+            if (response.ok) {
+                const data = await response.json();
+                details = Array.isArray(data.achievements) ? data.achievements : null;
+            }
+        } catch (error) {
+            console.warn(`Error loading achievements for ${key}:`, error);
+        }
 
-        const formatDate = (dateString) => {
-            if (!dateString) return null;
-            return new Date(dateString).toLocaleDateString('en-GB', {
-                day: '2-digit',
-                month: '2-digit',
-                year: 'numeric'
-            });
-        };
+        loaded.set(key, details);
+        return details;
+    }
 
-        const formatPlayedTime = (hours) => {
-            if (!hours) return '';
-            if (hours < 1) return '< 1h';
-            return `${Math.round(hours)}h`;
-        };
+    // Game id of the current route (#/game/steam/413150 -> 'steam/413150'), null on the dashboard
+    getRouteGameId() {
+        const match = window.location.hash.match(/^#\/game\/([^/]+)\/(.+)$/);
+        if (!match) return null;
+        try {
+            return `${match[1]}/${decodeURIComponent(match[2])}`;
+        } catch (error) {
+            return null;
+        }
+    }
 
-        // Escape HTML to prevent XSS
-        const escapeHtml = (str) => {
-            const div = document.createElement('div');
-            div.textContent = str;
-            return div.innerHTML;
-        };
+    // Show the game page of the current route in the achievement modal, or close it when there is none
+    async renderRoute() {
+        const modal = document.getElementById('achievement-modal');
+        const view = document.getElementById('modal-body');
+        if (!modal || !view) return;
+
+        const gameId = this.getRouteGameId();
+        if (!gameId) {
+            if (modal.classList.contains('open')) {
+                modal.classList.remove('open');
+                document.body.classList.remove('modal-open');
+                view.innerHTML = '';
+                document.title = this.defaultTitle;
+            }
+            return;
+        }
 
-        const safeName = escapeHtml(game.name);
-
-        // Build tooltip content
-        const tooltipLines = [
-            safeName,
-            `${completionPercentage}% • ${game.unlockedAchievements}/${game.totalAchievements} achievements`
-        ];
-        if (game.lastAchievement || game.lastPlayed) {
-            tooltipLines.push(`Last achievement: ${game.lastAchievement ? formatDate(game.lastAchievement) : formatDate(game.lastPlayed)}`);
-        }
-        if (game.playedTime) {
-            tooltipLines.push(`Total hours: ${formatPlayedTime(game.playedTime)}`);
-        }
-        if (game.console) {
-            tooltipLines.push(`Console: ${game.console}`);
-        }
-        if (game.tags && game.tags.length > 0) {
-            tooltipLines.push(`Tags: ${game.tags.join(', ')}`);
-        }
-
-        // Mutually exclusive states: ribbon for 100%, progress bar for incomplete
-        const completionLabel = game.platform === 'retroachievements' ? 'Mastered' : '100% Complete';
-        const platformIconSrc = game.platform === 'steam' ? 'assets/icons/steam.svg' :
-                                game.platform === 'gog' ? 'assets/icons/gog.svg' :
-                                game.platform === 'retroachievements' ? 'assets/icons/ra-icon.webp' : '';
-        // Console icon for RetroAchievements games (normalize name to lowercase, replace spaces with hyphens)
-        const consoleIconSrc = game.platform === 'retroachievements' && game.console
-            ? `assets/icons/consoles/${game.console.toLowerCase().replace(/\s+/g, '-')}.png`
-            : '';
-        // Ribbon icon for 100% complete non-RA games
-        const ribbonIconSrc = game.platform !== 'retroachievements' ? 'assets/icons/ribbon.png' : '';
-        const completionHTML = progressData.isComplete ? `
-            <div class="floating-ribbon" aria-label="All achievements completed">
-                ${platformIconSrc ? `<img src="${platformIconSrc}" alt="" class="ribbon-platform-icon" aria-hidden="true">` : ''}
-                <span class="ribbon-text">${completionLabel}</span>
-                ${consoleIconSrc ? `<img src="${consoleIconSrc}" alt="${game.console}" class="ribbon-console-icon" aria-hidden="true" onerror="this.style.display='none'">` : ''}
-                ${ribbonIconSrc ? `<img src="${ribbonIconSrc}" alt="" class="ribbon-badge-icon" aria-hidden="true" onerror="this.style.display='none'">` : ''}
-            </div>
-        ` : `
-            <div class="game-progress-overlay" aria-label="Achievement progress: ${progressData.earned} out of ${progressData.total} achievements unlocked, ${progressData.percentage}%">
-                <div class="achievement-progress">
-                    ${platformIconSrc ? `<img src="${platformIconSrc}" alt="" class="progress-platform-icon" aria-hidden="true">` : ''}
-                    <span class="achievement-count">${progressData.earned}/${progressData.total}</span>
-                    ${consoleIconSrc ? `<img src="${consoleIconSrc}" alt="${game.console}" class="progress-console-icon" aria-hidden="true" onerror="this.style.display='none'">` : ''}
+        if (!modal.classList.contains('open')) {
+            modal.classList.add('open');
+            document.body.classList.add('modal-open');
+            document.getElementById('close-modal').focus();
+        }
+        modal.querySelector('.modal-content').scrollTop = 0;
+
+        const nav = this.admin ? `
+            <nav class="game-page-nav">
+                <button type="button" class="game-page-edit"><i class="fas fa-pen"></i> Edit</button>
+            </nav>
+        ` : '';
+        const game = this.achievements.find(g => DashboardRender.generateGameId(g) === gameId);
+        if (!game) {
+            document.title = this.defaultTitle;
+            view.innerHTML = `${nav}
+                <div class="no-results">
+                    <i class="fas fa-search"></i>
+                    <h3>Game not found</h3>
+                    <p>No game matches ${DashboardRender.escapeHtml(gameId)}</p>
                 </div>
+            `;
+            this.setupGamePage(view);
+            return;
+        }
+
+        document.title = `${game.name} - ${this.defaultTitle}`;
+        view.innerHTML = `${nav}
+            <div class="loading">
+                <i class="fas fa-spinner fa-spin"></i>
+                <p>Loading achievements...</p>
             </div>
         `;
 
-        return `
-            <article class="game-card" data-platform="${game.platform}" data-game-id="${this.generateGameId(game.name)}" data-tooltip="${tooltipLines.join('\n')}" role="button" tabindex="0" aria-label="${safeName} - ${completionPercentage}% complete">
-                <div class="game-header">
-                    ${game.coverImage ?
-                        `<img src="${game.coverImage}" alt="${safeName} cover" class="game-image" loading="lazy" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
-                         <div class="game-image-fallback" style="display: none;" aria-hidden="true">${safeName}</div>` :
-                        `<div class="game-image-fallback" aria-hidden="true">${safeName}</div>`
-                    }
-                </div>
-                ${!progressData.isComplete ? completionHTML : ''}
-                ${progressData.isComplete ? completionHTML : ''}
-            </article>
-        `;
+        const details = await this.loadAchievementDetails(game);
+        // The route may have changed while the details were loading
+        if (this.getRouteGameId() !== gameId) return;
+
+        view.innerHTML = nav + DashboardRender.createGamePage(game, details, this.rareThreshold, {
+            sets: DashboardRender.findGameSets(this.achievements, game),
+            related: DashboardRender.findGameGroup(this.achievements, game),
+            tabs: true
+        });
+        this.setupGamePage(view, game);
+    }
+
+    // Back to the dashboard, keeping the filters of the query string
+    closeGamePage() {
+        history.pushState(null, '', `${window.location.pathname}${window.location.search}`);
+        this.renderRoute();
+    }
+
+    setupGamePage(view, game = null) {
+        // Local editing: open the game in the admin panel
+        const editButton = view.querySelector('.game-page-edit');
+        if (editButton && game) {
+            editButton.addEventListener('click', () => {
+                this.closeGamePage();
+                this.admin.edit(game);
+            });
+        } else if (editButton) {
+            editButton.remove();
+        }
+
+        // Filter tabs: all / locked / unlocked
+        view.querySelectorAll('.achievement-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                const filter = tab.dataset.filter;
+                view.querySelectorAll('.achievement-tab').forEach(t => t.classList.toggle('active', t === tab));
+                view.querySelectorAll('.achievement-row').forEach(row => {
+                    row.style.display = filter === 'all' || row.dataset.state === filter ? '' : 'none';
+                });
+            });
+        });
+    }
+
+    /**
+     * Download the games shown (filteredAchievements) in the current order
+     * @param {string} format - 'csv', 'json', 'markdown' (js/export.js) or 'png' (trophy card)
+     */
+    async exportGames(format) {
+        const games = this.filteredAchievements;
+        const profile = this.users.length > 1 ? `${this.currentUser.id}-` : '';
+        const fileName = `achievements-${profile}${new Date().toISOString().split('T')[0]}`;
+
+        if (format === 'png') {
+            // Rare unlocks need the details of every game on the card
+            await Promise.all(games.filter(game => game.platformId).map(game => this.loadAchievementDetails(game)));
+            const svg = DashboardExport.createTrophyCard(games, {
+                getDetails: game => this.achievementDetails.get(`${game.platform}/${game.platformId}`),
+                rareThreshold: this.rareThreshold,
+                subtitle: this.describeFilters(games),
+                footer: window.location.host
+            });
+            this.downloadFile(`${fileName}.png`, await this.renderPng(svg, DashboardExport.CARD_WIDTH, DashboardExport.CARD_HEIGHT));
+            return;
+        }
+
+        const exporter = DashboardExport.FORMATS[format];
+        if (!exporter) return;
+        this.downloadFile(`${fileName}.${exporter.extension}`, new Blob([exporter.render(games)], { type: exporter.type }));
+    }
+
+    // Trophy card subtitle: platform, tags and search of the current filters, and the game count
+    describeFilters(games) {
+        const definition = PlatformRegistry.get(this.currentPlatform);
+        const parts = [definition ? definition.name : 'All platforms'];
+        if (this.users.length > 1) parts.unshift(this.currentUser.name);
+        if (this.includedTags.size > 0) parts.push([...this.includedTags].join(', '));
+        if (this.excludedTags.size > 0) parts.push(`without ${[...this.excludedTags].join(', ')}`);
+        if (this.searchQuery) parts.push(`"${this.searchQuery}"`);
+        parts.push(`${games.length} game${games.length === 1 ? '' : 's'}`);
+        return parts.join(' · ');
+    }
+
+    // Rasterize SVG markup to a PNG blob, at twice its size for sharp text on high-density screens
+    renderPng(svg, width, height) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width * 2;
+                canvas.height = height * 2;
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the PNG')), 'image/png');
+            };
+            image.onerror = () => reject(new Error('Could not render the trophy card'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+    }
+
+    downloadFile(fileName, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Games of the breakdown charts: every game of the current profile, or of each compared profile
+    getChartSeries() {
+        const profiles = this.getComparedProfiles();
+        return profiles
+            ? profiles.map(profile => ({ user: profile.user, games: profile.games }))
+            : [{ user: null, games: this.achievements }];
+    }
+
+    // Chart.js loads without blocking the page (index.html): until it is there, the charts are drawn once it is
+    chartsLoaded() {
+        if (typeof Chart !== 'undefined') return true;
+        if (window.chartReady && !this.chartsPending) {
+            this.chartsPending = true;
+            window.chartReady.then(loaded => {
+                this.chartsPending = false;
+                if (loaded) this.renderCharts();
+            });
+        }
+        return false;
     }
 
     // Chart rendering methods
     renderCharts() {
+        if (!this.chartsLoaded()) return;
         this.renderPlatformCharts();
         this.renderTagsChart();
         this.renderConsolesChart();
+        this.renderActivityCharts();
     }
 
-    renderPlatformCharts() {
-        const platformData = {};
-        ['steam', 'gog', 'retroachievements'].forEach(p => {
-            platformData[p] = { games: 0, achievements: 0 };
+    // Unlock dates and rarity of every game feed the activity charts, rare stat and rarity filter; fetch them after the first render
+    async loadAllAchievementDetails() {
+        await Promise.all(this.achievements
+            .filter(game => game.platformId)
+            .map(game => this.loadAchievementDetails(game)));
+
+        if (this.currentRarity !== 'all') {
+            this.applyFilters({ replaceUrl: true });
+        } else {
+            this.updateStats();
+            this.renderActivityCharts();
+        }
+
+        // Then those of the other profiles, for the team view and compared charts
+        const others = this.getLoadedProfiles().filter(profile => profile.user !== this.currentUser);
+        if (others.length === 0) return;
+        await Promise.all(others.map(profile => this.loadProfileDetails(profile)));
+        this.renderActivityCharts();
+        if (this.team) this.team.render();
+    }
+
+    // Activity charts follow the current filters, unlike the breakdown charts
+    // Compared, the timeline has a line per profile; the calendar stays the current profile's
+    renderActivityCharts() {
+        if (!this.chartsLoaded()) return;
+        const counts = this.getUnlockCounts(this.filteredAchievements);
+        const profiles = this.getComparedProfiles();
+        this.renderTimelineChart(profiles
+            ? profiles.map(profile => ({
+                user: profile.user,
+                counts: this.getUnlockCounts(this.filterGames(profile.games, profile.details), profile.details)
+            }))
+            : [{ user: null, counts }]);
+        this.renderHeatmapChart(counts);
+        this.renderActivitySummary(counts);
+    }
+
+    /**
+     * Count unlocks per day (YYYY-MM-DD)
+     * Uses per-achievement dates when loaded, otherwise puts all of a game's unlocks on its lastAchievement date
+     * @param {Array} games - Games to count
+     * @param {Map} [achievementDetails] - Details of the games' profile
+     * @returns {Map<string, number>} Unlocks by day
+     */
+    getUnlockCounts(games, achievementDetails = this.achievementDetails) {
+        const counts = new Map();
+        const add = (date, count) => {
+            const day = String(date).slice(0, 10);
+            counts.set(day, (counts.get(day) || 0) + count);
+        };
+
+        games.forEach(game => {
+            const details = achievementDetails.get(`${game.platform}/${game.platformId}`);
+            const dated = details ? details.filter(achievement => achievement.unlocked && achievement.unlockedAt) : [];
+            if (dated.length > 0) {
+                dated.forEach(achievement => add(achievement.unlockedAt, 1));
+            } else if (game.lastAchievement && game.unlockedAchievements > 0) {
+                add(game.lastAchievement, game.unlockedAchievements);
+            }
         });
 
-        this.achievements.forEach(game => {
-            const p = game.platform;
-            if (platformData[p]) {
-                platformData[p].games++;
-                platformData[p].achievements += game.unlockedAchievements;
+        return counts;
+    }
+
+    /**
+     * Cumulative unlocks at the end of each month, from the first unlock to the last
+     * @param {Array<{user: ?Object, counts: Map<string, number>}>} series - A line per profile (user null: one line)
+     */
+    renderTimelineChart(series) {
+        const monthlySeries = series.map(({ counts }) => {
+            const monthly = new Map();
+            counts.forEach((count, day) => {
+                const month = day.slice(0, 7);
+                monthly.set(month, (monthly.get(month) || 0) + count);
+            });
+            return monthly;
+        });
+
+        const months = [...new Set(monthlySeries.flatMap(monthly => [...monthly.keys()]))].sort();
+        const labels = [];
+        const data = monthlySeries.map(() => []);
+        const totals = monthlySeries.map(() => 0);
+        if (months.length > 0) {
+            let [year, month] = months[0].split('-').map(Number);
+            const last = months[months.length - 1];
+            for (let key = months[0]; key <= last; key = `${year}-${String(month).padStart(2, '0')}`) {
+                monthlySeries.forEach((monthly, i) => {
+                    totals[i] += monthly.get(key) || 0;
+                    data[i].push(totals[i]);
+                });
+                labels.push(new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-GB', {
+                    month: 'short',
+                    year: 'numeric',
+                    timeZone: 'UTC'
+                }));
+                month = month === 12 ? 1 : month + 1;
+                if (month === 1) year++;
             }
+        }
+
+        this.createLineChart('timelineChart', {
+            labels,
+            datasets: series.map(({ user }, i) => user ? {
+                label: user.name,
+                data: data[i],
+                borderColor: user.color,
+                backgroundColor: user.color,
+                fill: false,
+                tension: 0.3,
+                pointRadius: 2
+            } : {
+                data: data[i],
+                borderColor: '#66c0f4',
+                backgroundColor: 'rgba(102, 192, 244, 0.15)',
+                fill: true,
+                tension: 0.3,
+                pointRadius: 2
+            })
+        });
+    }
+
+    renderHeatmapChart(counts) {
+        // 53 weeks (Monday to Sunday) ending with the week of the latest unlock
+        const days = [...counts.keys()].sort();
+        const end = new Date(days.length > 0 ? `${days[days.length - 1]}T00:00:00Z` : `${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+        const start = new Date(end);
+        start.setUTCDate(end.getUTCDate() - ((end.getUTCDay() + 6) % 7) - 52 * 7);
+
+        const points = [];
+        let max = 0;
+        for (let date = new Date(start), index = 0; date <= end; date.setUTCDate(date.getUTCDate() + 1), index++) {
+            const day = date.toISOString().slice(0, 10);
+            const count = counts.get(day) || 0;
+            max = Math.max(max, count);
+            points.push({ x: Math.floor(index / 7), y: index % 7, v: count, date: day });
+        }
+
+        this.createHeatmapChart('heatmapChart', {
+            datasets: [{
+                data: points,
+                backgroundColor: context => this.getHeatmapColor(context.raw ? context.raw.v : 0, max)
+            }]
+        }, 53);
+    }
+
+    getHeatmapColor(count, max) {
+        if (!count || !max) return 'rgba(255, 255, 255, 0.05)';
+        // Four intensity levels, like GitHub's contribution calendar
+        const level = Math.ceil((count / max) * 4);
+        return `rgba(102, 192, 244, ${level * 0.25})`;
+    }
+
+    renderActivitySummary(counts) {
+        const summary = document.getElementById('activity-summary');
+        if (!summary) return;
+
+        const days = [...counts.keys()].filter(day => counts.get(day) > 0).sort();
+        if (days.length === 0) {
+            summary.textContent = 'No dated unlocks';
+            return;
+        }
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        let streak = 0;
+        let longestStreak = 0;
+        let longestBreak = 0;
+        let previous = null;
+        days.forEach(day => {
+            const time = Date.parse(`${day}T00:00:00Z`);
+            const gap = previous === null ? 0 : Math.round((time - previous) / dayMs);
+            streak = gap === 1 ? streak + 1 : 1;
+            longestStreak = Math.max(longestStreak, streak);
+            longestBreak = Math.max(longestBreak, gap - 1);
+            previous = time;
+        });
+
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        summary.textContent = [
+            `${plural(days.length, 'active day')}`,
+            `Longest streak: ${plural(longestStreak, 'day')}`,
+            `Latest streak: ${plural(streak, 'day')}`,
+            `Longest break: ${plural(longestBreak, 'day')}`
+        ].join(' · ');
+    }
+
+    // Compared profiles are drawn as rings, the first profile outermost
+    renderPlatformCharts() {
+        const definitions = PlatformRegistry.all();
+        const series = this.getChartSeries().map(({ user, games }) => {
+            const platformData = {};
+            definitions.forEach(definition => {
+                platformData[definition.id] = { games: 0, achievements: 0 };
+            });
+
+            games.forEach(game => {
+                const p = game.platform;
+                if (platformData[p]) {
+                    platformData[p].games++;
+                    platformData[p].achievements += game.unlockedAchievements;
+                }
+            });
+            return { user, platformData };
         });
 
-        const labels = ['Steam', 'GOG', 'RetroAchievements'];
-        const platforms = ['steam', 'gog', 'retroachievements'];
-        const colors = platforms.map(p => this.platformColors[p]);
+        const labels = definitions.map(definition => definition.name);
+        const platforms = definitions.map(definition => definition.id);
+        const colors = definitions.map(definition => definition.color);
+        const datasets = key => series.map(({ user, platformData }) => ({
+            ...(user ? { label: user.name } : {}),
+            data: platforms.map(p => platformData[p][key]),
+            backgroundColor: colors,
+            borderWidth: 0
+        }));
 
         // Games by Platform
         this.createDoughnutChart('platformGamesChart', {
             labels,
-            datasets: [{
-                data: platforms.map(p => platformData[p].games),
-                backgroundColor: colors,
-                borderWidth: 0
-            }]
+            datasets: datasets('games')
         });
 
         // Achievements by Platform
         this.createDoughnutChart('platformAchievementsChart', {
             labels,
-            datasets: [{
-                data: platforms.map(p => platformData[p].achievements),
-                backgroundColor: colors,
-                borderWidth: 0
-            }]
+            datasets: datasets('achievements')
         });
     }
 
+    // Compared profiles get a bar each per tag, in their color
     renderTagsChart() {
-        const tagStats = {};
-
-        this.achievements.forEach(game => {
-            if (game.tags && Array.isArray(game.tags)) {
-                game.tags.forEach(tag => {
-                    if (!tagStats[tag]) {
-                        tagStats[tag] = { count: 0 };
-                    }
-                    tagStats[tag].count++;
-                });
-            }
+        const series = this.getChartSeries().map(({ user, games }) => {
+            const tagStats = {};
+
+            games.forEach(game => {
+                if (game.tags && Array.isArray(game.tags)) {
+                    game.tags.forEach(tag => {
+                        if (!tagStats[tag]) {
+                            tagStats[tag] = { count: 0 };
+                        }
+                        tagStats[tag].count++;
+                    });
+                }
+            });
+            return { user, tagStats };
         });
 
-        const sortedByCount = Object.entries(tagStats)
-            .sort((a, b) => b[1].count - a[1].count);
+        const totals = {};
+        series.forEach(({ tagStats }) => Object.entries(tagStats).forEach(([tag, stats]) => {
+            totals[tag] = (totals[tag] || 0) + stats.count;
+        }));
+        const sortedTags = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
 
         this.createVerticalBarChart('tagsChart', {
-            labels: sortedByCount.map(([tag]) => tag),
-            datasets: [{
-                data: sortedByCount.map(([, stats]) => stats.count),
-                backgroundColor: 'rgba(102, 192, 244, 0.7)',
+            labels: sortedTags,
+            datasets: series.map(({ user, tagStats }) => ({
+                ...(user ? { label: user.name } : {}),
+                data: sortedTags.map(tag => tagStats[tag] ? tagStats[tag].count : 0),
+                backgroundColor: user ? user.color : 'rgba(102, 192, 244, 0.7)',
                 borderRadius: 4
-            }]
+            }))
         });
     }
 
     renderConsolesChart() {
-        const consoleStats = {};
+        const series = this.getChartSeries().map(({ user, games }) => {
+            const consoleStats = {};
 
-        this.achievements.forEach(game => {
-            // Use console value for RA games, 'PC' for Steam/GOG
-            const consoleName = game.platform === 'retroachievements' && game.console
-                ? game.console
-                : 'PC';
+            games.forEach(game => {
+                // Use the game's console, else the platform default ('PC' for Steam/GOG)
+                const definition = PlatformRegistry.get(game.platform);
+                const consoleName = game.console || (definition && definition.defaultConsole) || 'PC';
 
-            if (!consoleStats[consoleName]) {
-                consoleStats[consoleName] = 0;
-            }
-            consoleStats[consoleName]++;
+                if (!consoleStats[consoleName]) {
+                    consoleStats[consoleName] = 0;
+                }
+                consoleStats[consoleName]++;
+            });
+            return { user, consoleStats };
         });
 
-        const entries = Object.entries(consoleStats).sort((a, b) => b[1] - a[1]);
+        const totals = {};
+        series.forEach(({ consoleStats }) => Object.entries(consoleStats).forEach(([consoleName, count]) => {
+            totals[consoleName] = (totals[consoleName] || 0) + count;
+        }));
+        const consoleNames = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
 
         const generateColors = (count) => {
             const colors = [];
@@ -778,20 +1372,22 @@ class AchievementDashboard {
         };
 
         this.createDoughnutChart('consolesChart', {
-            labels: entries.map(([consoleName]) => consoleName),
-            datasets: [{
-                data: entries.map(([, count]) => count),
-                backgroundColor: generateColors(entries.length),
+            labels: consoleNames,
+            datasets: series.map(({ user, consoleStats }) => ({
+                ...(user ? { label: user.name } : {}),
+                data: consoleNames.map(consoleName => consoleStats[consoleName] || 0),
+                backgroundColor: generateColors(consoleNames.length),
                 borderWidth: 0
-            }]
+            }))
         });
     }
 
     createDoughnutChart(canvasId, data) {
         const canvas = document.getElementById(canvasId);
         if (!canvas) return;
+        if (this.charts[canvasId]) this.charts[canvasId].destroy();
         const ctx = canvas.getContext('2d');
-        return new Chart(ctx, {
+        this.charts[canvasId] = new Chart(ctx, {
             type: 'doughnut',
             data: data,
             options: {
@@ -809,13 +1405,112 @@ class AchievementDashboard {
                 }
             }
         });
+        return this.charts[canvasId];
+    }
+
+    createLineChart(canvasId, data) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+        if (this.charts[canvasId]) this.charts[canvasId].destroy();
+        const ctx = canvas.getContext('2d');
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: data,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    // Only compared profiles have a legend
+                    legend: {
+                        display: data.datasets.length > 1,
+                        labels: { color: '#8f98a0', usePointStyle: true }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#8f98a0' },
+                        grid: { display: false }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        ticks: { color: '#8f98a0' },
+                        grid: { color: 'rgba(255,255,255,0.05)' }
+                    }
+                }
+            }
+        });
+        return this.charts[canvasId];
+    }
+
+    // Calendar heatmap drawn as a scatter chart of square points: x = week, y = weekday (Monday first)
+    createHeatmapChart(canvasId, data, weeks) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+        if (this.charts[canvasId]) this.charts[canvasId].destroy();
+        const ctx = canvas.getContext('2d');
+        const weekdays = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+        const cellRadius = context => {
+            const area = context.chart.chartArea;
+            if (!area) return 4;
+            const cell = Math.min(area.width / weeks, area.height / 7);
+            // 'rect' points are drawn with a side of radius * sqrt(2)
+            return Math.max(1, (cell - 2) / Math.SQRT2);
+        };
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'scatter',
+            data: data,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                elements: {
+                    point: {
+                        pointStyle: 'rect',
+                        radius: cellRadius,
+                        hoverRadius: cellRadius,
+                        borderWidth: 0
+                    }
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            title: items => DashboardRender.formatDate(items[0].raw.date),
+                            label: item => `${item.raw.v} achievement${item.raw.v === 1 ? '' : 's'}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: -0.5,
+                        max: weeks - 0.5,
+                        display: false
+                    },
+                    y: {
+                        type: 'linear',
+                        min: -0.5,
+                        max: 6.5,
+                        reverse: true,
+                        ticks: {
+                            color: '#8f98a0',
+                            stepSize: 1,
+                            callback: value => weekdays[value] || ''
+                        },
+                        grid: { display: false }
+                    }
+                }
+            }
+        });
+        return this.charts[canvasId];
     }
 
     createHorizontalBarChart(canvasId, data) {
         const canvas = document.getElementById(canvasId);
         if (!canvas) return;
+        if (this.charts[canvasId]) this.charts[canvasId].destroy();
         const ctx = canvas.getContext('2d');
-        return new Chart(ctx, {
+        this.charts[canvasId] = new Chart(ctx, {
             type: 'bar',
             data: data,
             options: {
@@ -837,20 +1532,25 @@ class AchievementDashboard {
                 }
             }
         });
+        return this.charts[canvasId];
     }
 
     createVerticalBarChart(canvasId, data) {
         const canvas = document.getElementById(canvasId);
         if (!canvas) return;
+        if (this.charts[canvasId]) this.charts[canvasId].destroy();
         const ctx = canvas.getContext('2d');
-        return new Chart(ctx, {
+        this.charts[canvasId] = new Chart(ctx, {
             type: 'bar',
             data: data,
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
-                    legend: { display: false }
+                    legend: {
+                        display: data.datasets.length > 1,
+                        labels: { color: '#8f98a0', usePointStyle: true }
+                    }
                 },
                 scales: {
                     x: {
@@ -869,6 +1569,7 @@ class AchievementDashboard {
                 }
             }
         });
+        return this.charts[canvasId];
     }
 }
 
@@ -0,0 +1,117 @@
+// Platform Registry
+// Shared by the dashboard (window.PlatformRegistry) and the Node scripts (require('../js/platforms'))
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlatformRegistry = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Platform modules, in display order. Each one lives in js/platforms/<id>.js
+     * and registers itself; adding a platform means adding its module and its id here.
+     */
+    const MODULES = ['steam', 'gog', 'retroachievements', 'epic', 'xbox'];
+
+    const platforms = new Map();
+
+    /**
+     * Platform definition
+     * @typedef {Object} PlatformDefinition
+     * @property {string} id - Platform key, used in data-platform attributes and URLs
+     * @property {string} name - Display name (charts, #platform-select option)
+     * @property {string} dataFile - Path of the platform data file, relative to the site root
+     * @property {string} schemaFile - JSON Schema of the data file (checked by scripts/validate-data.js)
+     * @property {string} color - Chart color
+     * @property {string} icon - Platform icon shown on cards
+     * @property {string} [ribbonIcon] - Badge shown on the 100% ribbon
+     * @property {string} [coverShape] - 'wide' (default), 'square' or 'portrait'
+     * @property {Object<string, CoverStyle>} [coverStyles] - Covers the fetcher can download, by style name;
+     *   the first style's covers keep the plain <platformId> file name, the others get a -<style> suffix
+     * @property {string} [coverStyle] - Default style of coverStyles (a game's `coverStyle` field overrides it)
+     * @property {string} [defaultConsole] - Console used in charts when a game has none
+     * @property {boolean} [subsets] - Entries may hold a `subsets` map (one card per set)
+     * @property {function(Object): ?string} link - External link of a game
+     * @property {function(Object, Object): ?string} completionLabel - Ribbon/award label from a game and its progress
+     * @property {function(Object): string} [coverPath] - Default local cover path of a game
+     * @property {function(Object, Object): Promise<?string>} [fetchName] - Node only: (fetcher, game) => name
+     * @property {function(Object, Object): Promise<?string>} [fetchConsole] - Node only: (fetcher, game) => console name
+     * @property {function(Object, Object): Promise<boolean>} [fetchCover] - Node only: (fetcher, game) => success
+     */
+
+    /**
+     * Cover style of a platform
+     * @typedef {Object} CoverStyle
+     * @property {string} name - Display name
+     * @property {string} shape - Cover shape of the style ('wide', 'square' or 'portrait')
+     */
+
+    function register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Platform definition needs an id');
+        }
+        platforms.set(definition.id, {
+            coverShape: 'wide',
+            dataFile: `data/${definition.id}.json`,
+            schemaFile: `schemas/${definition.id}.schema.json`,
+            coverPath: game => `assets/covers/${definition.id}/${game.platformId}.jpg`,
+            link: () => null,
+            completionLabel: (game, progress) => progress.isComplete ? '100% Complete' : null,
+            ...definition
+        });
+    }
+
+    function get(id) {
+        return platforms.get(id) || null;
+    }
+
+    function all() {
+        // Keep MODULES order, then any platform registered from elsewhere
+        const order = id => MODULES.includes(id) ? MODULES.indexOf(id) : MODULES.length;
+        return Array.from(platforms.values()).sort((a, b) => order(a.id) - order(b.id));
+    }
+
+    function ids() {
+        return all().map(platform => platform.id);
+    }
+
+    /**
+     * Cover style of an entry and the shape of its cover
+     * @param {PlatformDefinition} definition
+     * @param {...Object} entries - The entry, then those it inherits from (a RetroAchievements set, then its game)
+     * @returns {{style: ?string, shape: string}} Style (null for platforms without styles) and shape
+     */
+    function coverStyle(definition, ...entries) {
+        const owner = entries.find(entry => entry && entry.coverStyle);
+        const style = definition.coverStyles ? (owner ? owner.coverStyle : definition.coverStyle) : null;
+        const config = style ? definition.coverStyles[style] : null;
+        return { style, shape: config ? config.shape : definition.coverShape };
+    }
+
+    // Console icon path: lowercase, spaces replaced with hyphens ('Game Boy' -> game-boy.png)
+    function consoleIcon(consoleName) {
+        return `assets/icons/consoles/${consoleName.toLowerCase().replace(/\s+/g, '-')}.png`;
+    }
+
+    // Node: require every platform module
+    function loadAll() {
+        MODULES.forEach(id => require(`./platforms/${id}`));
+        return all();
+    }
+
+    // Browser: inject the platform module scripts and wait for them
+    function load(basePath = 'js/platforms') {
+        const missing = MODULES.filter(id => !platforms.has(id));
+        return Promise.all(missing.map(id => new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = `${basePath}/${id}.js`;
+            script.async = false;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Could not load platform module: ${id}`));
+            document.head.appendChild(script);
+        }))).then(all);
+    }
+
+    return { MODULES, register, get, all, ids, coverStyle, consoleIcon, load, loadAll };
+});
@@ -0,0 +1,75 @@
+// Epic Games Store platform (names and covers come from a local library export)
+
+(function (root, factory) {
+    const registry = typeof module === 'object' && module.exports ? require('../platforms') : root.PlatformRegistry;
+    registry.register(factory());
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Legendary (`legendary list --json`) exports an array; Heroic's legendary_library.json wraps it in { library }
+    function findExportEntry(fetcher, game) {
+        const data = fetcher.loadExport('epic');
+        if (!data) {
+            console.log(`    ⚠️  Epic - no export file (pass --export epic=<file>)`);
+            return null;
+        }
+        const entries = Array.isArray(data) ? data : (data.library || []);
+        const entry = entries.find(e => e.app_name === game.platformId);
+        if (!entry) console.log(`    ⚠️  Epic - ${game.platformId} not in export`);
+        return entry || null;
+    }
+
+    function findSlug(entry) {
+        const attributes = (entry.metadata && entry.metadata.customAttributes) || {};
+        const productSlug = attributes['com.epicgames.app.productSlug'];
+        if (productSlug && productSlug.value) return productSlug.value;
+        const storeMatch = (entry.store_url || '').match(/\/p\/([^/?#]+)/);
+        return storeMatch ? storeMatch[1] : null;
+    }
+
+    function findCoverUrl(entry) {
+        // Wide box art fits the card layout used for Steam headers
+        const keyImages = (entry.metadata && entry.metadata.keyImages) || [];
+        const preferred = ['DieselGameBox', 'OfferImageWide', 'DieselStoreFrontWide', 'Thumbnail', 'DieselGameBoxTall'];
+        for (const type of preferred) {
+            const image = keyImages.find(k => k.type === type);
+            if (image && image.url) return image.url;
+        }
+        return entry.art_cover || entry.art_square || null;
+    }
+
+    return {
+        id: 'epic',
+        name: 'Epic Games',
+        color: '#d9d9d9',
+        icon: 'assets/icons/epic.svg',
+        ribbonIcon: 'assets/icons/ribbon.png',
+        defaultConsole: 'PC',
+
+        // platformId is the Legendary app_name; the store page needs the product slug
+        link: game => game.slug ? `https://store.epicgames.com/en-US/p/${game.slug}` : null,
+
+        // Completing every achievement of an Epic game unlocks its Platinum achievement
+        completionLabel: (game, progress) => progress.isComplete ? 'Platinum' : null,
+
+        fetchName: async (fetcher, game) => {
+            const entry = findExportEntry(fetcher, game);
+            if (!entry) return null;
+            if (!game.slug) game.slug = findSlug(entry) || undefined;
+            return entry.app_title || entry.title || null;
+        },
+
+        fetchCover: async (fetcher, game) => {
+            const entry = findExportEntry(fetcher, game);
+            const coverUrl = entry && findCoverUrl(entry);
+            if (!coverUrl) return false;
+
+            const ext = coverUrl.match(/\.(png|jpg|jpeg|webp)(\?|$)/i)?.[1] || 'jpg';
+            const localPath = await fetcher.downloadImage(coverUrl, 'epic', game.platformId, `cover.${ext}`);
+            if (localPath) {
+                game.coverImage = localPath;
+                console.log(`  💾 Downloaded to: ${localPath}`);
+                return true;
+            }
+            return false;
+        }
+    };
+});
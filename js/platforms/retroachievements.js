@@ -0,0 +1,49 @@
+// RetroAchievements platform
+
+(function (root, factory) {
+    const registry = typeof module === 'object' && module.exports ? require('../platforms') : root.PlatformRegistry;
+    registry.register(factory());
+})(typeof self !== 'undefined' ? self : this, function () {
+    return {
+        id: 'retroachievements',
+        name: 'RetroAchievements',
+        color: '#ffcc00',
+        icon: 'assets/icons/ra-icon.webp',
+        coverShape: 'square',
+        coverStyle: 'icon',
+        coverStyles: {
+            icon: { name: 'Game icon', shape: 'square' },
+            boxart: { name: 'Box art', shape: 'portrait' },
+            title: { name: 'Title screen', shape: 'wide' },
+            ingame: { name: 'In-game screenshot', shape: 'wide' }
+        },
+        subsets: true,
+
+        link: game => {
+            if (!game.platformId) return null;
+            const baseUrl = `https://retroachievements.org/game/${game.parentId || game.platformId}`;
+            // Add ?set= parameter for subsets
+            return game.isSubset && game.subsetId ? `${baseUrl}?set=${game.subsetId}` : baseUrl;
+        },
+
+        completionLabel: (game, progress) => {
+            if (progress.isComplete) {
+                // Mastered takes every achievement in hardcore; entries without a hardcore count (not synced
+                // with --sync-ra) go by their award, and are only completed without one
+                if (game.unlockedAchievementsHardcore === undefined) {
+                    return game.award === 'mastered' ? 'Mastered' : 'Completed';
+                }
+                return (Number(game.unlockedAchievementsHardcore) || 0) >= progress.total ? 'Mastered' : 'Completed';
+            }
+            // Beating a game (finishing its progression achievements) doesn't require 100%
+            return game.award && game.award.startsWith('beaten') ? 'Beaten' : null;
+        },
+
+        fetchName: (fetcher, game) => fetcher.fetchRetroAchievementsGameName(game.platformId),
+        fetchConsole: async (fetcher, game) => {
+            const gameData = await fetcher.fetchRetroAchievementsGameData(game.platformId);
+            return gameData ? fetcher.getConsoleName(gameData.ConsoleID) : null;
+        },
+        fetchCover: (fetcher, game) => fetcher.fetchRetroAchievementsCover(game, 'retroachievements')
+    };
+});
@@ -0,0 +1,25 @@
+// Steam platform
+
+(function (root, factory) {
+    const registry = typeof module === 'object' && module.exports ? require('../platforms') : root.PlatformRegistry;
+    registry.register(factory());
+})(typeof self !== 'undefined' ? self : this, function () {
+    return {
+        id: 'steam',
+        name: 'Steam',
+        color: '#66c0f4',
+        icon: 'assets/icons/steam.svg',
+        ribbonIcon: 'assets/icons/ribbon.png',
+        defaultConsole: 'PC',
+        coverStyle: 'header',
+        coverStyles: {
+            header: { name: 'Store header (460x215)', shape: 'wide' },
+            portrait: { name: 'Library capsule (600x900)', shape: 'portrait' }
+        },
+
+        link: game => game.platformId ? `https://steamcommunity.com/stats/${game.platformId}/achievements` : null,
+
+        fetchName: (fetcher, game) => fetcher.fetchSteamGameName(game.platformId),
+        fetchCover: (fetcher, game) => fetcher.fetchSteamCover(game, 'steam')
+    };
+});
@@ -0,0 +1,55 @@
+// Xbox platform (names and covers come from a local title history export)
+
+(function (root, factory) {
+    const registry = typeof module === 'object' && module.exports ? require('../platforms') : root.PlatformRegistry;
+    registry.register(factory());
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Title history as returned by Xbox Live titlehub (or OpenXBL's /api/v2/achievements): { titles: [...] }
+    function findExportEntry(fetcher, game) {
+        const data = fetcher.loadExport('xbox');
+        if (!data) {
+            console.log(`    ⚠️  Xbox - no export file (pass --export xbox=<file>)`);
+            return null;
+        }
+        const titles = Array.isArray(data) ? data : (data.titles || []);
+        const entry = titles.find(t => String(t.titleId) === String(game.platformId));
+        if (!entry) console.log(`    ⚠️  Xbox - title ${game.platformId} not in export`);
+        return entry || null;
+    }
+
+    return {
+        id: 'xbox',
+        name: 'Xbox',
+        color: '#107c10',
+        icon: 'assets/icons/xbox.svg',
+        ribbonIcon: 'assets/icons/ribbon.png',
+        coverShape: 'square',
+        defaultConsole: 'Xbox',
+
+        link: game => game.platformId
+            ? `https://account.xbox.com/en-US/GameInfoHub?titleid=${game.platformId}&selectedTab=achievementsTab`
+            : null,
+
+        completionLabel: (game, progress) => progress.isComplete ? 'Completed' : null,
+
+        fetchName: async (fetcher, game) => {
+            const entry = findExportEntry(fetcher, game);
+            return entry ? entry.name || null : null;
+        },
+
+        fetchCover: async (fetcher, game) => {
+            const entry = findExportEntry(fetcher, game);
+            if (!entry || !entry.displayImage) return false;
+
+            // Store images are often listed with http://, the CDN serves https too
+            const coverUrl = entry.displayImage.replace(/^http:/, 'https:');
+            const localPath = await fetcher.downloadImage(coverUrl, 'xbox', game.platformId, 'cover.png');
+            if (localPath) {
+                game.coverImage = localPath;
+                console.log(`  💾 Downloaded to: ${localPath}`);
+                return true;
+            }
+            return false;
+        }
+    };
+});
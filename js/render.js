@@ -0,0 +1,706 @@
+// Dashboard Rendering
+// Game list, card, stat and game page markup shared by the dashboard (window.DashboardRender)
+// and the static site builder (scripts/build-site.js)
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./platforms'));
+    } else {
+        root.DashboardRender = factory(root.PlatformRegistry);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PlatformRegistry) {
+    /**
+     * Achievement Progress Calculator
+     * Handles progress calculation and UI generation for achievement bars
+     */
+    class AchievementProgress {
+        /**
+         * Calculate progress and generate UI data
+         * @param {number} totalAchievements - Total achievements available
+         * @param {number} earnedAchievements - Achievements unlocked by user
+         * @returns {Object} Progress data object
+         */
+        static calculate(totalAchievements, earnedAchievements) {
+            const total = this.sanitizeNumber(totalAchievements);
+            const earned = this.sanitizeNumber(earnedAchievements);
+
+            if (total === 0) {
+                return {
+                    percentage: 0,
+                    displayPercentage: '0%',
+                    earned: 0,
+                    total: 0,
+                    isComplete: false,
+                    status: 'No Achievements',
+                    barWidth: '2px',
+                    cssClass: '',
+                    showRibbon: false
+                };
+            }
+
+            const cappedEarned = Math.min(earned, total);
+            const rawPercentage = (cappedEarned / total) * 100;
+            const percentage = Math.round(rawPercentage);
+            const isComplete = cappedEarned === total && total > 0;
+
+            let barWidth;
+            if (percentage === 0) {
+                barWidth = '2px';
+            } else if (percentage < 1) {
+                barWidth = '2px';
+            } else {
+                barWidth = `${percentage}%`;
+            }
+
+            let status;
+            if (isComplete) {
+                status = 'Complete';
+            } else if (percentage === 0) {
+                status = 'Not Started';
+            } else if (percentage < 25) {
+                status = 'Started';
+            } else if (percentage < 75) {
+                status = 'In Progress';
+            } else {
+                status = 'Almost There';
+            }
+
+            return {
+                percentage,
+                displayPercentage: `${percentage}%`,
+                earned: cappedEarned,
+                total,
+                isComplete,
+                status,
+                barWidth,
+                cssClass: isComplete ? 'complete' : '',
+                showRibbon: isComplete
+            };
+        }
+
+        static sanitizeNumber(value) {
+            const num = Number(value);
+            return Number.isFinite(num) && num >= 0 ? Math.floor(num) : 0;
+        }
+    }
+
+    // Escape HTML to prevent XSS (also safe inside attribute values)
+    function escapeHtml(str) {
+        return String(str === null || str === undefined ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function formatDate(dateString) {
+        if (!dateString) return null;
+        return new Date(dateString).toLocaleDateString('en-GB', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric'
+        });
+    }
+
+    function formatPlayedTime(hours) {
+        if (!hours) return '';
+        if (hours < 1) return '< 1h';
+        return `${Math.round(hours)}h`;
+    }
+
+    // Stable game id: platform plus platformId, or subsetId for RetroAchievements subsets ('steam/413150')
+    function generateGameId(game) {
+        return `${game.platform}/${game.subsetId || game.platformId}`;
+    }
+
+    // In-site route of a game page ('#/game/steam/413150'), read back by js/main.js
+    function getGameRoute(game) {
+        return `#/game/${game.platform}/${encodeURIComponent(game.subsetId || game.platformId)}`;
+    }
+
+    // Every set (base and subsets) of the same RetroAchievements game, empty for other games
+    function findGameSets(games, game) {
+        if (!game.parentId) return [];
+        return games
+            .filter(other => other.platform === game.platform && other.parentId === game.parentId)
+            .sort((a, b) => Number(a.isSubset) - Number(b.isSubset));
+    }
+
+    // Title used to match a game across platforms: no accents, symbols or punctuation ('Hades II™' -> 'hades ii')
+    function normalizeTitle(name) {
+        return String(name || '')
+            .replace(/[\u2122\u00ae\u00a9]/g, '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Key shared by the entries of one game on several platforms: its groupId, else its normalized title
+    // RetroAchievements subsets are separate achievement sets and never group
+    function getGroupKey(game) {
+        if (game.isSubset) return `set:${generateGameId(game)}`;
+        if (game.groupId) return `group:${game.groupId}`;
+        return `title:${normalizeTitle(game.name)}`;
+    }
+
+    /**
+     * Group games that are the same game on several platforms
+     * @param {Array} games - Games, in display order
+     * @returns {Array<Array>} Groups, ordered by their first game; each group keeps the games' order
+     */
+    function groupGames(games) {
+        const groups = new Map();
+        games.forEach(game => {
+            const key = getGroupKey(game);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(game);
+        });
+        return Array.from(groups.values());
+    }
+
+    // The other entries of a game's group
+    function findGameGroup(games, game) {
+        const key = getGroupKey(game);
+        return games.filter(other => other !== game && getGroupKey(other) === key);
+    }
+
+    function generateCoverImagePath(game) {
+        // Generate standardized cover image paths
+        const definition = PlatformRegistry.get(game.platform);
+        return definition ? definition.coverPath(game) : null;
+    }
+
+    // Resized copy written by the fetcher: assets/covers/steam/620.jpg -> assets/covers/steam/620-230.webp
+    function getCoverVariantPath(coverImage, width, format) {
+        return `${coverImage.replace(/\.[^./]+$/, '')}-${width}.${format}`;
+    }
+
+    // Files of a cover where WebP is supported (sw.js keeps them for offline use)
+    function getCoverFiles(game) {
+        if (!game.coverImage) return [];
+        const widths = Array.isArray(game.coverSizes) ? game.coverSizes : [];
+        return widths.length > 0 ? widths.map(width => getCoverVariantPath(game.coverImage, width, 'webp')) : [game.coverImage];
+    }
+
+    // 'wide', 'square' or 'portrait': the shape of the game's cover style (js/platforms.js)
+    function getCoverShape(game) {
+        const definition = PlatformRegistry.get(game.platform) || {};
+        return PlatformRegistry.coverStyle(definition, game).shape || 'wide';
+    }
+
+    // CSS width of a cover, by cover shape and where it is shown (see styles/main.css)
+    const COVER_DISPLAY_WIDTHS = {
+        wide: { card: 230, page: 320 },
+        square: { card: 96, page: 160 },
+        portrait: { card: 150, page: 200 }
+    };
+
+    // A broken cover is swapped for the fallback title (the <img> may sit in a <picture>)
+    const COVER_ONERROR = `loading="lazy" onerror="this.style.display='none'; this.closest('.game-header').querySelector('.game-image-fallback').style.display='flex';"`;
+
+    /**
+     * Cover <img>, in a <picture> with WebP and JPEG srcsets when the fetcher resized it (coverSizes)
+     * The dominant color and blurred placeholder (coverColor, coverPlaceholder) show until the image loads
+     * @param {Object} game - Entry with coverImage
+     * @param {Object} options
+     * @param {string} options.className - Class of the <img>
+     * @param {string} options.alt - Escaped alt text
+     * @param {string} options.context - 'card' or 'page'
+     * @param {string} [options.attributes] - Extra <img> attributes
+     * @returns {string} Markup
+     */
+    function createCoverImage(game, { className, alt, context, attributes = '' }) {
+        const shape = getCoverShape(game);
+        const backgrounds = [
+            game.coverPlaceholder ? `url('${escapeHtml(game.coverPlaceholder)}') center top / cover no-repeat` : null,
+            game.coverColor ? escapeHtml(game.coverColor) : null
+        ].filter(Boolean);
+        const style = backgrounds.length > 0 ? ` style="background: ${backgrounds.join(' ')}"` : '';
+        const widths = Array.isArray(game.coverSizes) ? [...game.coverSizes].sort((a, b) => a - b) : [];
+
+        if (widths.length === 0) {
+            return `<img src="${escapeHtml(game.coverImage)}" alt="${alt}" class="${className}"${style} ${attributes}>`;
+        }
+
+        const sizes = `${(COVER_DISPLAY_WIDTHS[shape] || COVER_DISPLAY_WIDTHS.wide)[context]}px`;
+        const srcset = format => widths
+            .map(width => `${escapeHtml(getCoverVariantPath(game.coverImage, width, format))} ${width}w`)
+            .join(', ');
+        return `<picture>` +
+            `<source type="image/webp" srcset="${srcset('webp')}" sizes="${sizes}">` +
+            `<img src="${escapeHtml(getCoverVariantPath(game.coverImage, widths[0], 'jpg'))}" srcset="${srcset('jpg')}" sizes="${sizes}" alt="${alt}" class="${className}"${style} ${attributes}>` +
+            `</picture>`;
+    }
+
+    function getGameLink(game) {
+        if (!game.platformId) return null;
+
+        const definition = PlatformRegistry.get(game.platform);
+        return definition ? definition.link(game) : null;
+    }
+
+    function getCompletionLabel(game, progressData) {
+        const definition = PlatformRegistry.get(game.platform);
+        return definition ? definition.completionLabel(game, progressData) : null;
+    }
+
+    /**
+     * Turn the entries of a platform data file into dashboard games
+     * Games with subsets (RetroAchievements) are expanded into one entry per set
+     * @param {Object} definition - Platform definition from the registry
+     * @param {Array} platformGames - Parsed data file
+     * @returns {Array} Games with their platform set
+     */
+    function expandPlatformGames(definition, platformGames) {
+        const platform = definition.id;
+        const games = [];
+        if (!Array.isArray(platformGames)) return games;
+
+        platformGames.forEach(game => {
+            if (definition.subsets && game.subsets && typeof game.subsets === 'object') {
+                Object.entries(game.subsets).forEach(([key, subset]) => {
+                    // 'Base' uses the parent platformId, otherwise use the subset key as ID
+                    const isBase = key === 'Base';
+                    const setId = isBase ? game.platformId : key;
+                    // Build display name: Base uses parent name, subsets use "ParentName: SubsetName"
+                    const displayName = isBase
+                        ? (game.name || null)
+                        : (game.name && subset.name ? `${game.name}: ${subset.name}` : subset.name || null);
+                    games.push({
+                        ...game,
+                        // Override with subset-specific data
+                        platformId: setId,
+                        // Store parent ID and subset info for link generation
+                        parentId: game.platformId,
+                        isSubset: !isBase,
+                        subsetId: isBase ? null : key,
+                        subsetName: isBase ? null : subset.name || null,
+                        name: displayName,
+                        coverImage: subset.coverImage || null,
+                        coverSizes: subset.coverSizes,
+                        coverPlaceholder: subset.coverPlaceholder,
+                        coverColor: subset.coverColor,
+                        coverStyle: subset.coverStyle || game.coverStyle,
+                        totalAchievements: subset.totalAchievements,
+                        unlockedAchievements: subset.unlockedAchievements,
+                        unlockedAchievementsHardcore: subset.unlockedAchievementsHardcore,
+                        award: subset.award || null,
+                        lastAchievement: subset.lastAchievement || game.lastAchievement,
+                        playedTime: subset.playedTime || game.playedTime,
+                        // Tags are shared from parent
+                        tags: game.tags,
+                        platform: platform,
+                        // Remove subsets to avoid confusion
+                        subsets: undefined
+                    });
+                });
+            } else {
+                games.push({
+                    ...game,
+                    platform: platform
+                });
+            }
+        });
+
+        return games;
+    }
+
+    // Fill display defaults (name, cover) and sort by most recent achievement
+    function prepareGames(games) {
+        return sortGames(games.map(game => ({
+            ...game,
+            name: game.name || `Unknown Game (${game.platformId})`,
+            coverImage: game.coverImage || generateCoverImagePath(game),
+            isCompleted: game.lastAchievement !== null,
+            lastPlayed: game.lastAchievement || new Date().toISOString().split('T')[0]
+        })), 'recent');
+    }
+
+    // Colors of team profiles that don't set one, in data/users.json order
+    const USER_COLORS = ['#66c0f4', '#cdaa7d', '#a4d007', '#e5484d', '#b57edc', '#f59e0b'];
+
+    /**
+     * Team profiles of data/users.json with defaults filled in; entries without a valid id are left out
+     * @param {*} users - Parsed data/users.json: [{ id, name, color, dataDir }]
+     * @returns {Array<{id: string, name: string, color: string, dataDir: string}>}
+     */
+    function normalizeUsers(users) {
+        if (!Array.isArray(users)) return [];
+        const seen = new Set();
+        return users
+            .filter(user => user && typeof user.id === 'string' && /^[\w-]+$/.test(user.id) && !seen.has(user.id) && seen.add(user.id))
+            .map((user, i) => ({
+                id: user.id,
+                name: user.name || user.id,
+                color: user.color || USER_COLORS[i % USER_COLORS.length],
+                dataDir: (user.dataDir || `data/users/${user.id}`).replace(/\/+$/, '')
+            }));
+    }
+
+    // Data file of a team profile: data/steam.json -> data/users/alice/steam.json (unchanged without one)
+    function getUserDataFile(file, user) {
+        return user ? file.replace(/^data\//, `${user.dataDir}/`) : file;
+    }
+
+    /**
+     * Sort games in place
+     * @param {Array} games - Games to sort
+     * @param {string} sort - 'recent', 'name', 'completion' or 'playtime'
+     * @returns {Array} The sorted games
+     */
+    function sortGames(games, sort) {
+        return games.sort((a, b) => {
+            switch (sort) {
+                case 'name':
+                    return a.name.localeCompare(b.name);
+                case 'completion':
+                    const completionA = (a.unlockedAchievements / a.totalAchievements) * 100;
+                    const completionB = (b.unlockedAchievements / b.totalAchievements) * 100;
+                    return completionB - completionA;
+                case 'playtime':
+                    const timeA = a.playedTime || 0;
+                    const timeB = b.playedTime || 0;
+                    return timeB - timeA;
+                case 'recent':
+                default:
+                    // Sort by completion date (completed games first, then by date)
+                    if (a.lastAchievement && b.lastAchievement) {
+                        return new Date(b.lastAchievement) - new Date(a.lastAchievement);
+                    }
+                    if (a.lastAchievement && !b.lastAchievement) return -1;
+                    if (!a.lastAchievement && b.lastAchievement) return 1;
+                    return a.name.localeCompare(b.name);
+            }
+        });
+    }
+
+    /**
+     * Count unlocked achievements below the rare threshold
+     * @param {?Array} details - Achievements of a game (data/achievements/<platform>/<id>.json)
+     * @param {number} rareThreshold - In percent of players
+     * @returns {?number} Rare unlocks, null when there is no rarity data
+     */
+    function countRareUnlocks(details, rareThreshold) {
+        if (!details || !details.some(achievement => typeof achievement.rarity === 'number')) return null;
+
+        return details.filter(achievement =>
+            achievement.unlocked && typeof achievement.rarity === 'number' && achievement.rarity < rareThreshold
+        ).length;
+    }
+
+    // Rarity tier, matching the .rarity-* classes
+    function getRarityTier(percent, rareThreshold) {
+        if (percent >= rareThreshold) return percent < 50 ? 'uncommon' : 'common';
+        if (percent < 1) return 'legendary';
+        if (percent < 5) return 'very-rare';
+        return 'rare';
+    }
+
+    /**
+     * Overview stats of a list of games
+     * @param {Array} games - Games to count
+     * @param {function(Object): ?Array} getDetails - Achievements of a game, if loaded
+     * @param {number} rareThreshold - In percent of players
+     * @param {Object} [options]
+     * @param {boolean} [options.unique=false] - Count games once across platforms (groupGames) instead of entries
+     * @returns {{totalAchievements: number, rareAchievements: number, completedGames: number}}
+     */
+    function computeStats(games, getDetails, rareThreshold, { unique = false } = {}) {
+        const isComplete = game => game.totalAchievements > 0 && game.unlockedAchievements === game.totalAchievements;
+        return {
+            totalAchievements: games.reduce((sum, game) => sum + game.unlockedAchievements, 0),
+            rareAchievements: games.reduce((sum, game) => sum + (countRareUnlocks(getDetails(game), rareThreshold) || 0), 0),
+            // A game counts as completed once it is completed on one of its platforms
+            completedGames: unique
+                ? groupGames(games).filter(group => group.some(isComplete)).length
+                : games.filter(isComplete).length
+        };
+    }
+
+    /**
+     * Achievement list of a game page
+     * @param {Array} details - Achievements of the game
+     * @param {number} rareThreshold - In percent of players
+     * @returns {string} <ul> markup
+     */
+    function createAchievementList(details, rareThreshold) {
+        const rows = details.map(achievement => {
+            const state = achievement.unlocked ? 'unlocked' : 'locked';
+            const icon = achievement.unlocked ? achievement.icon : (achievement.iconLocked || achievement.icon);
+            // Hidden Steam achievements have no description until unlocked
+            const description = achievement.description || (achievement.hidden ? 'Hidden achievement' : '');
+            const hasRarity = typeof achievement.rarity === 'number';
+            return `
+                <li class="achievement-row ${state}${hasRarity ? ` rarity-${getRarityTier(achievement.rarity, rareThreshold)}` : ''}" data-state="${state}">
+                    ${icon ? `<img src="${escapeHtml(icon)}" alt="" class="achievement-icon" loading="lazy" aria-hidden="true">` : '<div class="achievement-icon"></div>'}
+                    <div class="achievement-info">
+                        <span class="achievement-title">${escapeHtml(achievement.title || achievement.id)}</span>
+                        <span class="achievement-description">${escapeHtml(description)}</span>
+                        ${hasRarity ? `<span class="achievement-rarity">${achievement.rarity}% of players</span>` : ''}
+                    </div>
+                    <span class="achievement-date">${achievement.unlocked
+                        ? (achievement.unlockedAt ? formatDate(achievement.unlockedAt) : 'Unlocked')
+                        : '<i class="fas fa-lock"></i> Locked'}</span>
+                </li>
+            `;
+        }).join('');
+
+        return `<ul class="achievement-list">${rows}</ul>`;
+    }
+
+    // All / locked / unlocked filter buttons of an achievement list
+    function createAchievementTabs(details) {
+        const unlockedCount = details.filter(achievement => achievement.unlocked).length;
+        return `
+            <div class="achievement-tabs" role="group" aria-label="Filter achievements">
+                <button class="achievement-tab active" data-filter="all">All (${details.length})</button>
+                <button class="achievement-tab" data-filter="locked">Locked (${details.length - unlockedCount})</button>
+                <button class="achievement-tab" data-filter="unlocked">Unlocked (${unlockedCount})</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Content of a game page: cover, stats, tags, sets and achievements
+     * @param {Object} game - Dashboard game
+     * @param {?Array} details - Achievements of the game
+     * @param {number} rareThreshold - In percent of players
+     * @param {Object} [options]
+     * @param {Array} [options.sets] - Sets of the game (findGameSets), listed when there is more than one
+     * @param {Array} [options.related] - The same game on other platforms (findGameGroup)
+     * @param {function(Object): string} [options.linkTo] - Link to another game page, defaults to the in-site route
+     * @param {boolean} [options.tabs=false] - Add the achievement filter buttons (they need js/main.js)
+     * @returns {string} Markup
+     */
+    function createGamePage(game, details, rareThreshold, { sets = [], related = [], linkTo = getGameRoute, tabs = false } = {}) {
+        const definition = PlatformRegistry.get(game.platform) || {};
+        const progressData = AchievementProgress.calculate(game.totalAchievements, game.unlockedAchievements);
+        const completionLabel = getCompletionLabel(game, progressData);
+        const rareUnlocks = countRareUnlocks(details, rareThreshold);
+        const link = getGameLink(game);
+        const safeName = escapeHtml(game.name);
+
+        const facts = [
+            ['Platform', escapeHtml(definition.name || game.platform)],
+            ['Achievements', `${progressData.earned}/${progressData.total} (${progressData.displayPercentage})`],
+            game.unlockedAchievementsHardcore !== undefined
+                ? ['Hardcore', `${game.unlockedAchievementsHardcore}/${game.totalAchievements}`] : null,
+            completionLabel ? ['Award', escapeHtml(completionLabel)] : null,
+            game.lastAchievement ? ['Last achievement', formatDate(game.lastAchievement)] : null,
+            game.playedTime ? ['Time played', formatPlayedTime(game.playedTime)] : null,
+            game.console ? ['Console', escapeHtml(game.console)] : null,
+            rareUnlocks ? ['Rare unlocks', `${rareUnlocks} (< ${rareThreshold}%)`] : null
+        ].filter(Boolean);
+
+        return `
+            <article class="game-page" data-platform="${escapeHtml(game.platform)}">
+                <div class="game-page-header">
+                    ${game.coverImage ? createCoverImage(game, { className: 'game-page-cover', alt: `${safeName} cover`, context: 'page', attributes: `data-cover-shape="${getCoverShape(game)}"` }) : ''}
+                    <div class="game-page-info">
+                        <h2 class="game-page-title">
+                            ${definition.icon ? `<img src="${definition.icon}" alt="" class="game-page-platform-icon" aria-hidden="true">` : ''}
+                            ${safeName}
+                        </h2>
+                        <div class="game-page-progress" role="progressbar" aria-valuenow="${progressData.percentage}" aria-valuemin="0" aria-valuemax="100">
+                            <div class="game-page-progress-bar ${progressData.cssClass}" style="width: ${progressData.barWidth}"></div>
+                        </div>
+                        <dl class="game-page-facts">
+                            ${facts.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+                        </dl>
+                        ${game.tags && game.tags.length > 0 ? `
+                            <ul class="game-page-tags">
+                                ${game.tags.map(tag => `<li class="game-page-tag">${escapeHtml(tag)}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                        ${related.length > 0 ? `
+                            <ul class="game-page-sets" aria-label="Other platforms">
+                                ${related.map(other => {
+                                    const otherDefinition = PlatformRegistry.get(other.platform) || {};
+                                    return `
+                                        <li class="game-page-set">
+                                            <a href="${escapeHtml(linkTo(other))}">Also on ${escapeHtml(otherDefinition.name || other.platform)}</a>
+                                            <span>${other.unlockedAchievements}/${other.totalAchievements}</span>
+                                        </li>
+                                    `;
+                                }).join('')}
+                            </ul>
+                        ` : ''}
+                        ${sets.length > 1 ? `
+                            <ul class="game-page-sets" aria-label="Achievement sets">
+                                ${sets.map(set => `
+                                    <li class="game-page-set${set === game ? ' active' : ''}">
+                                        <a href="${escapeHtml(linkTo(set))}">${escapeHtml(set.isSubset ? set.subsetName || set.name : 'Base set')}</a>
+                                        <span>${set.unlockedAchievements}/${set.totalAchievements}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                        ${link ? `<a href="${escapeHtml(link)}" class="game-page-link" target="_blank" rel="noopener noreferrer"><i class="fas fa-external-link-alt"></i> View on ${escapeHtml(definition.name || 'platform')}</a>` : ''}
+                    </div>
+                </div>
+                ${details && details.length > 0
+                    ? `${tabs ? createAchievementTabs(details) : ''}${createAchievementList(details, rareThreshold)}`
+                    : '<p class="achievement-list-empty">No achievement details available for this game yet.</p>'}
+            </article>
+        `;
+    }
+
+    function createGameCard(game) {
+        const completionPercentage = Math.round((game.unlockedAchievements / game.totalAchievements) * 100);
+
+        // Calculate progress data
+        const progressData = AchievementProgress.calculate(
+            game.totalAchievements,
+            game.unlockedAchievements
+        );
+
+        const safeName = escapeHtml(game.name);
+
+        // Build tooltip content (plain text, escaped once for the attribute)
+        const tooltipLines = [
+            game.name,
+            `${completionPercentage}% • ${game.unlockedAchievements}/${game.totalAchievements} achievements`
+        ];
+        if (game.lastAchievement || game.lastPlayed) {
+            tooltipLines.push(`Last achievement: ${game.lastAchievement ? formatDate(game.lastAchievement) : formatDate(game.lastPlayed)}`);
+        }
+        if (game.playedTime) {
+            tooltipLines.push(`Total hours: ${formatPlayedTime(game.playedTime)}`);
+        }
+        if (game.console) {
+            tooltipLines.push(`Console: ${game.console}`);
+        }
+        if (game.tags && game.tags.length > 0) {
+            tooltipLines.push(`Tags: ${game.tags.join(', ')}`);
+        }
+
+        if (game.unlockedAchievementsHardcore !== undefined) {
+            tooltipLines.push(`Hardcore: ${game.unlockedAchievementsHardcore}/${game.totalAchievements}`);
+        }
+
+        // Mutually exclusive states: ribbon for 100%, progress bar for incomplete
+        const definition = PlatformRegistry.get(game.platform) || {};
+        const completionLabel = getCompletionLabel(game, progressData);
+        const platformIconSrc = definition.icon || '';
+        // Console icon for games with a console
+        const consoleIconSrc = game.console ? PlatformRegistry.consoleIcon(game.console) : '';
+        // Ribbon badge for 100% complete games on platforms that have one
+        const ribbonIconSrc = definition.ribbonIcon || '';
+        const completionHTML = progressData.isComplete ? `
+            <div class="floating-ribbon" aria-label="All achievements completed">
+                ${platformIconSrc ? `<img src="${platformIconSrc}" alt="" class="ribbon-platform-icon" aria-hidden="true">` : ''}
+                <span class="ribbon-text">${completionLabel}</span>
+                ${consoleIconSrc ? `<img src="${consoleIconSrc}" alt="${game.console}" class="ribbon-console-icon" aria-hidden="true" onerror="this.style.display='none'">` : ''}
+                ${ribbonIconSrc ? `<img src="${ribbonIconSrc}" alt="" class="ribbon-badge-icon" aria-hidden="true" onerror="this.style.display='none'">` : ''}
+            </div>
+        ` : `
+            <div class="game-progress-overlay" aria-label="Achievement progress: ${progressData.earned} out of ${progressData.total} achievements unlocked, ${progressData.percentage}%">
+                <div class="achievement-progress">
+                    ${platformIconSrc ? `<img src="${platformIconSrc}" alt="" class="progress-platform-icon" aria-hidden="true">` : ''}
+                    <span class="achievement-count">${progressData.earned}/${progressData.total}</span>
+                    ${completionLabel ? `<span class="progress-award">${completionLabel}</span>` : ''}
+                    ${consoleIconSrc ? `<img src="${consoleIconSrc}" alt="${game.console}" class="progress-console-icon" aria-hidden="true" onerror="this.style.display='none'">` : ''}
+                </div>
+            </div>
+        `;
+
+        return `
+            <article class="game-card" data-platform="${game.platform}" data-cover-shape="${getCoverShape(game)}" data-game-id="${escapeHtml(generateGameId(game))}" data-tooltip="${escapeHtml(tooltipLines.join('\n'))}" role="button" tabindex="0" aria-label="${safeName} - ${completionPercentage}% complete">
+                <div class="game-header">
+                    ${game.coverImage ?
+                        `${createCoverImage(game, { className: 'game-image', alt: `${safeName} cover`, context: 'card', attributes: COVER_ONERROR })}
+                         <div class="game-image-fallback" style="display: none;" aria-hidden="true">${safeName}</div>` :
+                        `<div class="game-image-fallback" aria-hidden="true">${safeName}</div>`
+                    }
+                </div>
+                ${!progressData.isComplete ? completionHTML : ''}
+                ${progressData.isComplete ? completionHTML : ''}
+            </article>
+        `;
+    }
+
+    /**
+     * Card of a game on several platforms (grouped view): cover of the first entry and the progress on each platform
+     * @param {Array} group - Entries of the game (groupGames)
+     * @returns {string} Markup; the card opens the first entry's page
+     */
+    function createGroupCard(group) {
+        const primary = group[0];
+        const safeName = escapeHtml(primary.name);
+
+        const entries = group.map(game => ({
+            game,
+            definition: PlatformRegistry.get(game.platform) || {},
+            progress: AchievementProgress.calculate(game.totalAchievements, game.unlockedAchievements)
+        }));
+        const tooltipLines = [
+            primary.name,
+            ...entries.map(({ game, definition: entryDefinition, progress }) =>
+                `${entryDefinition.name || game.platform}: ${progress.earned}/${progress.total} (${progress.displayPercentage})`)
+        ];
+        const playedTime = group.reduce((sum, game) => sum + (game.playedTime || 0), 0);
+        if (playedTime) {
+            tooltipLines.push(`Total hours: ${formatPlayedTime(playedTime)}`);
+        }
+
+        return `
+            <article class="game-card game-card-group" data-platform="${primary.platform}" data-cover-shape="${getCoverShape(primary)}" data-game-id="${escapeHtml(generateGameId(primary))}" data-tooltip="${escapeHtml(tooltipLines.join('\n'))}" role="button" tabindex="0" aria-label="${safeName} - on ${group.length} platforms">
+                <div class="game-header">
+                    ${primary.coverImage ?
+                        `${createCoverImage(primary, { className: 'game-image', alt: `${safeName} cover`, context: 'card', attributes: COVER_ONERROR })}
+                         <div class="game-image-fallback" style="display: none;" aria-hidden="true">${safeName}</div>` :
+                        `<div class="game-image-fallback" aria-hidden="true">${safeName}</div>`
+                    }
+                </div>
+                <div class="game-progress-overlay" aria-label="Achievement progress per platform">
+                    <div class="achievement-progress">
+                        ${entries.map(({ game, definition: entryDefinition, progress }) => `
+                            <span class="group-platform-progress${progress.isComplete ? ' complete' : ''}" data-platform="${game.platform}">
+                                ${entryDefinition.icon ? `<img src="${entryDefinition.icon}" alt="${escapeHtml(entryDefinition.name || game.platform)}" class="progress-platform-icon">` : ''}
+                                <span class="achievement-count">${progress.earned}/${progress.total}</span>
+                            </span>
+                        `).join('')}
+                    </div>
+                </div>
+            </article>
+        `;
+    }
+
+    return {
+        AchievementProgress,
+        escapeHtml,
+        formatDate,
+        formatPlayedTime,
+        generateGameId,
+        getGameRoute,
+        findGameSets,
+        normalizeTitle,
+        getGroupKey,
+        groupGames,
+        findGameGroup,
+        generateCoverImagePath,
+        getCoverShape,
+        getCoverVariantPath,
+        getCoverFiles,
+        createCoverImage,
+        getGameLink,
+        getCompletionLabel,
+        expandPlatformGames,
+        prepareGames,
+        normalizeUsers,
+        getUserDataFile,
+        sortGames,
+        countRareUnlocks,
+        getRarityTier,
+        computeStats,
+        createGameCard,
+        createGroupCard,
+        createAchievementList,
+        createAchievementTabs,
+        createGamePage
+    };
+});
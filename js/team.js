@@ -0,0 +1,184 @@
+// Team View
+// Leaderboards and a table of the games several members own, for sites with more than one profile in
+// data/users.json; follows the filters of the dashboard. Hidden for a single user
+
+const TEAM_RECENT_DAYS = 30;
+
+class TeamView {
+    /**
+     * Create the view when data/users.json lists more than one profile
+     * @param {AchievementDashboard} dashboard - Loads the profiles and filters their games
+     * @returns {Promise<?TeamView>} The view, or null for a single-user site
+     */
+    static async create(dashboard) {
+        if (dashboard.users.length < 2) return null;
+
+        await dashboard.loadProfiles();
+        const view = new TeamView(dashboard);
+        view.render();
+        return view;
+    }
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.section = document.getElementById('team-section');
+        this.leaderboards = document.getElementById('team-leaderboards');
+        this.comparison = document.getElementById('team-comparison');
+
+        if (!this.section) return;
+        this.section.hidden = false;
+        this.setupEventListeners();
+    }
+
+    // Member names switch the dashboard to their profile
+    setupEventListeners() {
+        this.section.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-user]');
+            const user = button && this.dashboard.users.find(u => u.id === button.dataset.user);
+            if (user && user !== this.dashboard.currentUser) this.dashboard.showUser(user);
+        });
+    }
+
+    // Loaded profiles with the dashboard's filters applied to their games
+    getMembers() {
+        return this.dashboard.getLoadedProfiles().map(({ user, games, details }) => ({
+            user,
+            details,
+            games: this.dashboard.filterGames(games, details)
+        }));
+    }
+
+    render() {
+        if (!this.section) return;
+        const members = this.getMembers();
+        if (this.leaderboards) this.leaderboards.innerHTML = this.createLeaderboards(members);
+        if (this.comparison) this.comparison.innerHTML = this.createComparison(members);
+    }
+
+    /**
+     * Total unlocks, perfect games and unlocks of the last TEAM_RECENT_DAYS days, best first
+     * Recent unlocks need the members' achievement details; until they load, a game's unlocks count on
+     * its lastAchievement date (see getUnlockCounts in js/main.js)
+     */
+    createLeaderboards(members) {
+        const since = new Date(Date.now() - TEAM_RECENT_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const rows = members.map(({ user, games, details }) => {
+            const stats = DashboardRender.computeStats(
+                games,
+                game => details.get(`${game.platform}/${game.platformId}`),
+                this.dashboard.rareThreshold
+            );
+            const counts = this.dashboard.getUnlockCounts(games, details);
+            const days = [...counts.keys()].filter(day => counts.get(day) > 0).sort();
+            return {
+                user,
+                unlocks: stats.totalAchievements,
+                perfect: stats.completedGames,
+                recent: days.filter(day => day >= since).reduce((sum, day) => sum + counts.get(day), 0),
+                lastActive: days.length > 0 ? days[days.length - 1] : null
+            };
+        });
+
+        const byLastActive = (a, b) => (b.lastActive || '').localeCompare(a.lastActive || '');
+        const boards = [
+            {
+                title: 'Total Unlocks',
+                icon: 'fa-trophy',
+                sort: (a, b) => b.unlocks - a.unlocks,
+                value: row => row.unlocks
+            },
+            {
+                title: 'Perfect Games',
+                icon: 'fa-medal',
+                sort: (a, b) => b.perfect - a.perfect || b.unlocks - a.unlocks,
+                value: row => row.perfect
+            },
+            {
+                title: `Last ${TEAM_RECENT_DAYS} Days`,
+                icon: 'fa-fire',
+                sort: (a, b) => b.recent - a.recent || byLastActive(a, b),
+                value: row => row.recent,
+                note: row => row.lastActive ? `last unlock ${DashboardRender.formatDate(row.lastActive)}` : 'no unlocks'
+            }
+        ];
+
+        return boards.map(board => `
+            <div class="team-board">
+                <h3 class="team-board-title"><i class="fas ${board.icon}"></i> ${board.title}</h3>
+                <ol class="team-board-list">
+                    ${[...rows].sort((a, b) => board.sort(a, b) || a.user.name.localeCompare(b.user.name)).map(row => `
+                        <li class="team-board-entry${row.user === this.dashboard.currentUser ? ' current' : ''}">
+                            ${this.createMemberButton(row.user)}
+                            ${board.note ? `<span class="team-board-note">${DashboardRender.escapeHtml(board.note(row))}</span>` : ''}
+                            <span class="team-board-value">${board.value(row)}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Table of the games owned by at least two members (same platform and id), with each member's unlocks
+     * The most unlocks of a row are highlighted
+     */
+    createComparison(members) {
+        const owned = new Map(); // Game id -> first entry found and the entries by member
+        members.forEach(({ user, games }) => games.forEach(game => {
+            const id = DashboardRender.generateGameId(game);
+            if (!owned.has(id)) owned.set(id, { game, entries: new Map() });
+            owned.get(id).entries.set(user.id, game);
+        }));
+
+        const shared = [...owned.values()]
+            .filter(row => row.entries.size > 1)
+            .sort((a, b) => b.entries.size - a.entries.size || a.game.name.localeCompare(b.game.name));
+        if (shared.length === 0) {
+            return '<p class="team-empty">No shown game is owned by more than one member</p>';
+        }
+
+        const rows = shared.map(({ game, entries }) => {
+            const definition = PlatformRegistry.get(game.platform);
+            const best = Math.max(...[...entries.values()].map(entry => entry.unlockedAchievements));
+            const cells = members.map(({ user }) => {
+                const entry = entries.get(user.id);
+                if (!entry) return '<td class="team-cell team-cell-missing">–</td>';
+
+                const progress = DashboardRender.AchievementProgress.calculate(entry.totalAchievements, entry.unlockedAchievements);
+                const isBest = best > 0 && entry.unlockedAchievements === best;
+                return `
+                    <td class="team-cell${isBest ? ' team-cell-best' : ''}" title="${DashboardRender.escapeHtml(`${user.name}: ${progress.displayPercentage}`)}">
+                        <span class="team-cell-count">${progress.earned}/${progress.total}</span>
+                        <span class="team-cell-bar"><span style="width: ${progress.percentage}%; background: ${DashboardRender.escapeHtml(user.color)}"></span></span>
+                    </td>`;
+            }).join('');
+
+            return `
+                <tr>
+                    <th scope="row" class="team-game">${DashboardRender.escapeHtml(game.name)}</th>
+                    <td class="team-platform">${DashboardRender.escapeHtml(definition ? definition.name : game.platform)}</td>
+                    ${cells}
+                </tr>`;
+        }).join('');
+
+        return `
+            <table class="team-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Game</th>
+                        <th scope="col">Platform</th>
+                        ${members.map(({ user }) => `<th scope="col">${this.createMemberButton(user)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    createMemberButton(user) {
+        const current = user === this.dashboard.currentUser;
+        return `<button type="button" class="team-member" data-user="${DashboardRender.escapeHtml(user.id)}"${current ? ' aria-current="true"' : ''}>
+            <span class="team-member-color" style="background: ${DashboardRender.escapeHtml(user.color)}"></span>${DashboardRender.escapeHtml(user.name)}
+        </button>`;
+    }
+}
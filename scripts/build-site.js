@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+
+/**
+ * Static Site Builder
+ * Pre-renders the dashboard to plain HTML, so the page has content without JavaScript (crawlers, first paint)
+ *
+ * Usage:
+ *   node scripts/build-site.js               # Build into dist/
+ *   node scripts/build-site.js --out public  # Build into another directory
+ *   node scripts/build-site.js --url https://user.github.io/achievements/  # Site address, when there is no CNAME
+ *
+ * Output:
+ * - index.html with the game cards and overview stats rendered (js/main.js hydrates them instead of rebuilding)
+ * - games/<platform>/<platformId>.html, one page per game and RetroAchievements subset
+ * - sitemap.xml, when the CNAME file (or --url) gives the site's address
+ * - feed.xml (Atom) and feed.json (JSON Feed) of the latest perfect games, with the same address
+ * - badges/<name>.svg, shields.io-style badges of the totals and of each platform, with shields.io
+ *   endpoint JSON next to them (badges/<name>.json)
+ * - A copy of the static files (styles, scripts, assets, data, service worker and web app manifest)
+ * - data/versions.json, a hash per data file, and sw.js with VERSION set to a hash of the app shell,
+ *   so installed copies of the dashboard download only what changed
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PlatformRegistry = require('../js/platforms');
+const DashboardRender = require('../js/render');
+const DashboardHistory = require('../js/history');
+const { createBadge, createBadgeEndpoint } = require('./lib/badges');
+const { createAtomFeed, createJsonFeed } = require('./lib/feed');
+
+PlatformRegistry.loadAll();
+
+const ROOT = path.join(__dirname, '..');
+const STATIC_PATHS = ['styles', 'js', 'assets', 'data', 'embed.html', 'sw.js', 'manifest.webmanifest', 'CNAME'];
+// Files precached by sw.js
+const SHELL_PATHS = ['styles', 'js', 'assets/icons', 'manifest.webmanifest'];
+// Entries of the feeds
+const FEED_SIZE = 50;
+
+class SiteBuilder {
+    constructor(outDir, { siteUrl = null } = {}) {
+        this.outDir = path.resolve(outDir);
+        this.template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        this.rareThreshold = parseFloat(this.readMeta('rare-threshold')) || 10;
+        this.siteUrl = siteUrl ? siteUrl.replace(/\/?$/, '/') : this.readSiteUrl();
+        this.details = new Map();
+    }
+
+    run() {
+        try {
+            console.log('🏗️  Static Site Builder');
+            console.log('======================\n');
+
+            if (this.outDir === ROOT || ROOT.startsWith(this.outDir + path.sep)) {
+                throw new Error(`Refusing to build into ${this.outDir}`);
+            }
+            fs.rmSync(this.outDir, { recursive: true, force: true });
+            fs.mkdirSync(this.outDir, { recursive: true });
+
+            const games = this.loadGames();
+            games.forEach(game => this.details.set(this.gameKey(game), this.loadDetails(game)));
+            console.log(`📋 Loaded ${games.length} games\n`);
+
+            this.copyStatic();
+            console.log(`📄 data/versions.json (${this.writeDataVersions()} files)`);
+            console.log(`📄 sw.js (version ${this.stampServiceWorker()})`);
+            this.writeFile('index.html', this.renderIndex(games));
+            console.log('📄 index.html');
+
+            const pages = games.map(game => {
+                const page = this.gamePagePath(game);
+                this.writeFile(page, this.renderGamePage(game, DashboardRender.findGameSets(games, game)));
+                return page;
+            });
+            console.log(`📄 ${pages.length} game pages in games/`);
+
+            const badges = this.writeBadges(games);
+            console.log(`📄 ${badges} badges in badges/`);
+
+            if (this.siteUrl) {
+                this.writeFile('sitemap.xml', this.renderSitemap(pages));
+                console.log('📄 sitemap.xml');
+
+                const feed = this.createFeed(games);
+                this.writeFile('feed.xml', createAtomFeed(feed));
+                this.writeFile('feed.json', createJsonFeed(feed));
+                console.log(`📄 feed.xml and feed.json (${feed.items.length} perfect games)`);
+            }
+
+            console.log(`\n✅ Site built in ${path.relative(process.cwd(), this.outDir) || '.'}`);
+        } catch (error) {
+            console.error('❌ Build failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    loadGames() {
+        const games = [];
+        PlatformRegistry.all().forEach(definition => {
+            const dataPath = path.join(ROOT, definition.dataFile);
+            if (!fs.existsSync(dataPath)) return;
+            const platformGames = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+            games.push(...DashboardRender.expandPlatformGames(definition, platformGames));
+        });
+        return DashboardRender.prepareGames(games);
+    }
+
+    loadDetails(game) {
+        const detailPath = path.join(ROOT, 'data', 'achievements', game.platform, `${game.platformId}.json`);
+        if (!fs.existsSync(detailPath)) return null;
+        const data = JSON.parse(fs.readFileSync(detailPath, 'utf8'));
+        return Array.isArray(data.achievements) ? data.achievements : null;
+    }
+
+    gameKey(game) {
+        return DashboardRender.generateGameId(game);
+    }
+
+    // Static counterpart of the #/game/<platform>/<id> route
+    gamePagePath(game) {
+        return `games/${game.platform}/${encodeURIComponent(game.subsetId || game.platformId)}.html`;
+    }
+
+    renderIndex(games) {
+        const stats = DashboardRender.computeStats(games, game => this.details.get(this.gameKey(game)), this.rareThreshold);
+        const cards = games.map(game => DashboardRender.createGameCard(game)).join('');
+
+        let html = this.template
+            // A function, so $& or $' in game names stay as they are
+            .replace(/(<div class="games-grid" id="games-grid">)[\s\S]*?(<\/div>)/, (match, open, close) => open + cards + close)
+            .replace('<div class="loading" id="loading">', '<div class="loading" id="loading" style="display: none;">');
+        html = this.setElementText(html, 'total-achievements', stats.totalAchievements);
+        html = this.setElementText(html, 'rare-achievements', stats.rareAchievements);
+        html = this.setElementText(html, 'rare-achievements-label', `Rare Achievements (< ${this.rareThreshold}%)`);
+        html = this.setElementText(html, 'completed-games', stats.completedGames);
+        if (this.siteUrl) {
+            html = html.replace('</head>', `    <link rel="alternate" type="application/atom+xml" title="Perfect games" href="feed.xml">
+    <link rel="alternate" type="application/feed+json" title="Perfect games" href="feed.json">
+</head>`);
+        }
+        return html;
+    }
+
+    renderGamePage(game, sets) {
+        const escape = DashboardRender.escapeHtml;
+        const definition = PlatformRegistry.get(game.platform) || {};
+        const progress = DashboardRender.AchievementProgress.calculate(game.totalAchievements, game.unlockedAchievements);
+        const description = `${game.name}: ${progress.earned}/${progress.total} achievements (${progress.displayPercentage}) on ${definition.name || game.platform}`;
+        const page = this.gamePagePath(game);
+
+        // Pages live two levels down; <base> keeps every relative path of the dashboard working
+        const stylesheets = (this.template.match(/<link [^>]*>/g) || []).join('\n    ');
+        const header = (this.template.match(/<header class="header">[\s\S]*?<\/header>/) || [''])[0];
+        const footer = (this.template.match(/<footer class="footer">[\s\S]*?<\/footer>/) || [''])[0];
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <base href="../../">
+    <meta name="description" content="${escape(description)}">
+    <title>${escape(game.name)} - Gaming Achievements</title>
+    ${this.siteUrl ? `<link rel="canonical" href="${this.siteUrl}${page}">` : ''}
+    ${stylesheets}
+</head>
+<body>
+    <div class="container">
+        ${header}
+
+        <nav class="game-page-nav">
+            <a href="./"><i class="fas fa-arrow-left"></i> All games</a>
+        </nav>
+
+        <main class="achievements-container">
+            ${DashboardRender.createGamePage(game, this.details.get(this.gameKey(game)), this.rareThreshold, {
+                sets,
+                linkTo: set => this.gamePagePath(set)
+            })}
+        </main>
+    </div>
+
+    ${footer}
+</body>
+</html>
+`;
+    }
+
+    // Badges of the totals (the dashboard's overview) and of each platform with games
+    writeBadges(games) {
+        const stats = DashboardRender.computeStats(games, game => this.details.get(this.gameKey(game)), this.rareThreshold);
+        const badges = {
+            achievements: { label: 'achievements', message: String(stats.totalAchievements), color: '#a0783c' },
+            'perfect-games': { label: 'perfect games', message: String(stats.completedGames), color: '#4c8c16' }
+        };
+        PlatformRegistry.all().forEach(definition => {
+            const platformGames = games.filter(game => game.platform === definition.id);
+            if (platformGames.length === 0) return;
+            const unlocked = platformGames.reduce((sum, game) => sum + (game.unlockedAchievements || 0), 0);
+            badges[definition.id] = { label: `${definition.name} achievements`, message: String(unlocked), color: definition.color };
+        });
+
+        Object.entries(badges).forEach(([name, badge]) => {
+            this.writeFile(`badges/${name}.svg`, createBadge(badge));
+            this.writeFile(`badges/${name}.json`, createBadgeEndpoint(badge));
+        });
+        return Object.keys(badges).length;
+    }
+
+    /**
+     * Latest perfect games, newest first, on the day of their last unlock
+     * Games without one take the day of the data/history.json snapshot that first saw them perfect;
+     * games with neither are left out
+     */
+    createFeed(games) {
+        const perfectDates = DashboardHistory.getPerfectDates(this.loadHistory());
+        const title = (this.template.match(/<title>([^<]*)<\/title>/) || [])[1] || 'Gaming Achievements';
+
+        const items = games
+            .map(game => ({ game, progress: DashboardRender.AchievementProgress.calculate(game.totalAchievements, game.unlockedAchievements) }))
+            .filter(({ progress }) => progress.isComplete)
+            .map(entry => ({ ...entry, date: (entry.game.lastAchievement || perfectDates[this.gameKey(entry.game)] || '').slice(0, 10) }))
+            .filter(entry => entry.date)
+            .sort((a, b) => b.date.localeCompare(a.date) || a.game.name.localeCompare(b.game.name))
+            .slice(0, FEED_SIZE)
+            .map(entry => this.createFeedItem(entry));
+
+        return {
+            title: `${title}: Perfect Games`,
+            description: 'Games with every achievement unlocked',
+            author: title,
+            homeUrl: this.siteUrl,
+            atomUrl: `${this.siteUrl}feed.xml`,
+            jsonUrl: `${this.siteUrl}feed.json`,
+            items
+        };
+    }
+
+    createFeedItem({ game, progress, date }) {
+        const escape = DashboardRender.escapeHtml;
+        const definition = PlatformRegistry.get(game.platform) || {};
+        const platformName = definition.name || game.platform;
+        const name = game.name; // Subsets are named 'Parent: Subset' already
+        const label = DashboardRender.getCompletionLabel(game, progress) || 'Complete';
+        const url = `${this.siteUrl}${this.gamePagePath(game)}`;
+        const externalUrl = DashboardRender.getGameLink(game);
+        const image = game.coverImage ? `${this.siteUrl}${game.coverImage}` : null;
+        const summary = `${label}: ${progress.total} achievements on ${platformName}`;
+
+        return {
+            // A game perfected again after new achievements were added gets a new entry
+            id: `${url}#${progress.total}`,
+            title: `${name}: ${label}`,
+            url,
+            externalUrl,
+            date,
+            image,
+            summary,
+            html: [
+                image ? `<p><img src="${escape(image)}" alt="${escape(name)}"></p>` : '',
+                `<p>${escape(summary)}</p>`,
+                externalUrl ? `<p><a href="${escape(externalUrl)}">View on ${escape(platformName)}</a></p>` : ''
+            ].join(''),
+            tags: [platformName, ...(Array.isArray(game.tags) ? game.tags : [])]
+        };
+    }
+
+    loadHistory() {
+        const historyPath = path.join(ROOT, 'data', 'history.json');
+        if (!fs.existsSync(historyPath)) return [];
+        const history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+        return Array.isArray(history) ? history : [];
+    }
+
+    renderSitemap(pages) {
+        const urls = ['', ...pages].map(page => `    <url><loc>${this.siteUrl}${page}</loc></url>`);
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+    }
+
+    setElementText(html, id, text) {
+        const pattern = new RegExp(`(<(\\w+)[^>]*\\sid="${id}"[^>]*>)[^<]*(</\\2>)`);
+        return html.replace(pattern, (match, open, tag, close) => `${open}${DashboardRender.escapeHtml(text)}${close}`);
+    }
+
+    readMeta(name) {
+        const match = this.template.match(new RegExp(`<meta name="${name}" content="([^"]*)"`));
+        return match ? match[1] : null;
+    }
+
+    readSiteUrl() {
+        const cnamePath = path.join(ROOT, 'CNAME');
+        if (!fs.existsSync(cnamePath)) return null;
+        const domain = fs.readFileSync(cnamePath, 'utf8').trim();
+        return domain ? `https://${domain}/` : null;
+    }
+
+    copyStatic() {
+        STATIC_PATHS.forEach(item => {
+            const source = path.join(ROOT, item);
+            if (fs.existsSync(source)) {
+                fs.cpSync(source, path.join(this.outDir, item), { recursive: true });
+            }
+        });
+    }
+
+    // A hash per data file, for the service worker to tell which of its cached copies are current
+    writeDataVersions() {
+        const versions = {};
+        this.listFiles('data').forEach(file => {
+            versions[file] = this.hashFiles([file]);
+        });
+        this.writeFile('data/versions.json', JSON.stringify(versions, null, 2) + '\n');
+        return Object.keys(versions).length;
+    }
+
+    // A new VERSION makes browsers install the service worker again, with a fresh precache
+    stampServiceWorker() {
+        const version = this.hashFiles(SHELL_PATHS.flatMap(item => this.listFiles(item)));
+        const swPath = path.join(this.outDir, 'sw.js');
+        const source = fs.readFileSync(swPath, 'utf8');
+        fs.writeFileSync(swPath, source.replace(/const VERSION = '[^']*';/, `const VERSION = '${version}';`));
+        return version;
+    }
+
+    // Files under a path of the repository, relative to it with forward slashes, sorted
+    listFiles(item) {
+        const fullPath = path.join(ROOT, item);
+        if (!fs.existsSync(fullPath)) return [];
+        if (!fs.statSync(fullPath).isDirectory()) return [item];
+        return fs.readdirSync(fullPath).sort().flatMap(name => this.listFiles(`${item}/${name}`));
+    }
+
+    hashFiles(files) {
+        const hash = crypto.createHash('sha1');
+        files.forEach(file => hash.update(file).update(fs.readFileSync(path.join(ROOT, file))));
+        return hash.digest('hex').slice(0, 12);
+    }
+
+    writeFile(relativePath, content) {
+        const filePath = path.join(this.outDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    const outIndex = process.argv.indexOf('--out');
+    const outDir = outIndex !== -1 && process.argv[outIndex + 1] ? process.argv[outIndex + 1] : path.join(ROOT, 'dist');
+    const urlIndex = process.argv.indexOf('--url');
+    const siteUrl = urlIndex !== -1 && process.argv[urlIndex + 1] ? process.argv[urlIndex + 1] : null;
+
+    new SiteBuilder(outDir, { siteUrl }).run();
+}
+
+module.exports = SiteBuilder;
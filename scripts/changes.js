@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Progress Changes
+ * The dashboard's What Changed panel from the command line: games started, games perfected and
+ * unlocks since a day, from the snapshots scripts/fetch-covers.js appends to data/history.json
+ *
+ * Usage:
+ *   node scripts/changes.js                     # Last 7 days
+ *   node scripts/changes.js --since 30          # Last 30 days
+ *   node scripts/changes.js --since 2026-10-01  # From a day on
+ *   node scripts/changes.js --user alice        # A team profile's history (data/users.json)
+ *   node scripts/changes.js --json              # As JSON, with names and platforms
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PlatformRegistry = require('../js/platforms');
+const DashboardRender = require('../js/render');
+const DashboardHistory = require('../js/history');
+
+PlatformRegistry.loadAll();
+
+const ROOT = path.join(__dirname, '..');
+
+// Flags with values: --since 30
+function flagValue(flag) {
+    const index = process.argv.indexOf(flag);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+class ChangeReport {
+    constructor({ since = '7', userId = null, json = false } = {}) {
+        this.since = since;
+        this.userId = userId;
+        this.json = json;
+    }
+
+    run() {
+        try {
+            const since = this.parseSince(this.since);
+            const user = this.loadUser();
+            const historyFile = DashboardRender.getUserDataFile('data/history.json', user);
+            const historyPath = path.join(ROOT, historyFile);
+            const history = fs.existsSync(historyPath) ? JSON.parse(fs.readFileSync(historyPath, 'utf8')) : [];
+            if (!Array.isArray(history) || history.length === 0) {
+                throw new Error(`No snapshots in ${historyFile} yet: scripts/fetch-covers.js writes them`);
+            }
+
+            const diff = DashboardHistory.diffHistory(history, since);
+            const games = this.loadGames(user);
+            const describe = entry => {
+                const game = games.get(entry.id);
+                const definition = PlatformRegistry.get(entry.id.split('/')[0]);
+                return {
+                    ...entry,
+                    name: game ? game.name : entry.id, // Subsets are named 'Parent: Subset' already
+                    platformName: definition ? definition.name : entry.id.split('/')[0]
+                };
+            };
+            const report = {
+                ...diff,
+                started: diff.started.map(describe),
+                perfected: diff.perfected.map(describe),
+                progressed: diff.progressed.map(describe)
+            };
+
+            if (this.json) {
+                process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+            } else {
+                this.print(report, user);
+            }
+        } catch (error) {
+            console.error('❌ Changes failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    // A number of days (the last n days, today included) or a day (YYYY-MM-DD)
+    parseSince(value) {
+        if (/^\d+$/.test(value) && Number(value) > 0) {
+            return DashboardHistory.getPeriodStart(Number(value));
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) {
+            return value;
+        }
+        throw new Error(`--since takes a number of days or a date (YYYY-MM-DD), not "${value}"`);
+    }
+
+    loadUser() {
+        if (!this.userId) return null;
+        const usersPath = path.join(ROOT, 'data', 'users.json');
+        const users = fs.existsSync(usersPath) ? DashboardRender.normalizeUsers(JSON.parse(fs.readFileSync(usersPath, 'utf8'))) : [];
+        const user = users.find(u => u.id === this.userId);
+        if (!user) throw new Error(`No profile "${this.userId}" in data/users.json`);
+        return user;
+    }
+
+    // Current games of the profile by id, for names
+    loadGames(user) {
+        const games = new Map();
+        PlatformRegistry.all().forEach(definition => {
+            const dataPath = path.join(ROOT, DashboardRender.getUserDataFile(definition.dataFile, user));
+            if (!fs.existsSync(dataPath)) return;
+            DashboardRender.prepareGames(DashboardRender.expandPlatformGames(definition, JSON.parse(fs.readFileSync(dataPath, 'utf8'))))
+                .forEach(game => games.set(DashboardRender.generateGameId(game), game));
+        });
+        return games;
+    }
+
+    print(report, user) {
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const game = entry => `${entry.name} (${entry.platformName})`;
+
+        console.log(`📈 Changes since ${DashboardRender.formatDate(report.since)}${user ? ` for ${user.name}` : ''}`);
+        console.log('==========================\n');
+        if (report.baseline >= report.since) {
+            console.log(`ℹ️  The history starts on ${DashboardRender.formatDate(report.baseline)}: compared with that snapshot\n`);
+        }
+
+        console.log(`${report.unlocked > 0 ? '+' : ''}${plural(report.unlocked, 'achievement')} in ${plural(report.progressed.length, 'game')}` +
+            ` (snapshots ${DashboardRender.formatDate(report.baseline)} → ${DashboardRender.formatDate(report.latest)})`);
+
+        console.log(`\n🆕 Started (${report.started.length})`);
+        report.started.forEach(entry => console.log(`  - ${game(entry)} ${entry.after.unlocked}/${entry.after.total}`));
+
+        console.log(`\n🏅 Perfected (${report.perfected.length})`);
+        report.perfected.forEach(entry => console.log(`  - ${game(entry)} ${entry.after.total}/${entry.after.total}`));
+
+        console.log(`\n🏆 Unlocks (${report.progressed.length})`);
+        report.progressed.forEach(entry => {
+            const delta = `${entry.delta > 0 ? '+' : ''}${entry.delta}`.padStart(5);
+            console.log(`  ${delta}  ${game(entry)} ${entry.after.unlocked}/${entry.after.total}`);
+        });
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    new ChangeReport({
+        since: flagValue('--since') || '7',
+        userId: flagValue('--user') || null,
+        json: process.argv.includes('--json')
+    }).run();
+}
+
+module.exports = ChangeReport;
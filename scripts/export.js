@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Collection Export
+ * The formats of the dashboard's Export menu from the command line, e.g. to keep a table of games
+ * in another README
+ *
+ * Usage:
+ *   node scripts/export.js                                  # Markdown table of all games to stdout
+ *   node scripts/export.js --format csv --out games.csv     # CSV file
+ *   node scripts/export.js --format json --platform steam   # Flattened JSON of the Steam games
+ *   node scripts/export.js --format png --out card.png      # Trophy card (needs sharp: npm install sharp)
+ *   node scripts/export.js --format svg --out card.svg      # Trophy card as SVG
+ *
+ * Options:
+ *   --format csv|json|markdown|svg|png   Default markdown
+ *   --out <file>                         Default stdout (png: achievements.png)
+ *   --platform <id>                      Only these platforms (repeatable or comma-separated)
+ *   --tag <tag>                          Games with one of these tags (repeatable or comma-separated)
+ *   --exclude <tag>                      Games without these tags (repeatable or comma-separated)
+ *   --sort recent|name|completion|playtime  Default recent, as on the dashboard
+ *   --limit <n>                          First n games after sorting
+ *
+ * Games are read like the dashboard does: RetroAchievements subsets are one entry each.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PlatformRegistry = require('../js/platforms');
+const DashboardRender = require('../js/render');
+const DashboardExport = require('../js/export');
+
+PlatformRegistry.loadAll();
+
+const ROOT = path.join(__dirname, '..');
+const SORTS = ['recent', 'name', 'completion', 'playtime'];
+
+// Flags with values, repeatable or comma-separated: --tag Roguelite --tag "Pixel Art,Farming"
+function flagValues(flag) {
+    return process.argv
+        .flatMap((arg, i) => arg === flag && process.argv[i + 1] ? process.argv[i + 1].split(',') : [])
+        .map(value => value.trim())
+        .filter(Boolean);
+}
+
+class CollectionExporter {
+    constructor({ format = 'markdown', out = null, platforms = [], tags = [], excludedTags = [], sort = 'recent', limit = null } = {}) {
+        this.format = format === 'md' ? 'markdown' : format;
+        this.out = out;
+        this.platforms = platforms;
+        this.tags = tags;
+        this.excludedTags = excludedTags;
+        this.sort = sort;
+        this.limit = limit;
+    }
+
+    async run() {
+        try {
+            const isCard = this.format === 'svg' || this.format === 'png';
+            if (!isCard && !DashboardExport.FORMATS[this.format]) {
+                throw new Error(`Unknown format "${this.format}" (csv, json, markdown, svg or png)`);
+            }
+            if (!SORTS.includes(this.sort)) {
+                throw new Error(`Unknown sort "${this.sort}" (${SORTS.join(', ')})`);
+            }
+            const unknown = this.platforms.filter(id => !PlatformRegistry.get(id));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown platform: ${unknown.join(', ')} (${PlatformRegistry.ids().join(', ')})`);
+            }
+
+            const games = this.selectGames();
+            if (!isCard) {
+                this.write(DashboardExport.FORMATS[this.format].render(games), games.length);
+                return;
+            }
+
+            const svg = DashboardExport.createTrophyCard(games, {
+                getDetails: game => this.loadDetails(game),
+                rareThreshold: this.readRareThreshold(),
+                subtitle: this.describeFilters(games),
+                footer: this.readSiteDomain()
+            });
+            if (this.format === 'svg') {
+                this.write(svg, games.length);
+                return;
+            }
+
+            let sharp;
+            try {
+                sharp = require('sharp');
+            } catch (error) {
+                throw new Error('PNG output needs sharp (npm install sharp); use --format svg without it');
+            }
+            this.out = this.out || 'achievements.png';
+            // Twice the card size, like the dashboard's download
+            const png = await sharp(Buffer.from(svg), { density: 144 }).png().toBuffer();
+            this.write(png, games.length);
+        } catch (error) {
+            console.error('❌ Export failed:', error.message);
+            process.exit(1);
+        }
+    }
+
+    // Games of the data files, filtered and sorted like the dashboard
+    selectGames() {
+        const games = [];
+        PlatformRegistry.all().forEach(definition => {
+            if (this.platforms.length > 0 && !this.platforms.includes(definition.id)) return;
+            const dataPath = path.join(ROOT, definition.dataFile);
+            if (!fs.existsSync(dataPath)) return;
+            games.push(...DashboardRender.expandPlatformGames(definition, JSON.parse(fs.readFileSync(dataPath, 'utf8'))));
+        });
+
+        const selected = DashboardRender.prepareGames(games).filter(game => {
+            const gameTags = Array.isArray(game.tags) ? game.tags : [];
+            if (this.tags.length > 0 && !gameTags.some(tag => this.tags.includes(tag))) return false;
+            return !gameTags.some(tag => this.excludedTags.includes(tag));
+        });
+        DashboardRender.sortGames(selected, this.sort);
+        return this.limit ? selected.slice(0, this.limit) : selected;
+    }
+
+    loadDetails(game) {
+        const detailPath = path.join(ROOT, 'data', 'achievements', game.platform, `${game.platformId}.json`);
+        if (!fs.existsSync(detailPath)) return null;
+        const data = JSON.parse(fs.readFileSync(detailPath, 'utf8'));
+        return Array.isArray(data.achievements) ? data.achievements : null;
+    }
+
+    // Same wording as the card subtitle of the dashboard
+    describeFilters(games) {
+        const parts = [this.platforms.length > 0
+            ? this.platforms.map(id => PlatformRegistry.get(id).name).join(', ')
+            : 'All platforms'];
+        if (this.tags.length > 0) parts.push(this.tags.join(', '));
+        if (this.excludedTags.length > 0) parts.push(`without ${this.excludedTags.join(', ')}`);
+        parts.push(`${games.length} game${games.length === 1 ? '' : 's'}`);
+        return parts.join(' · ');
+    }
+
+    // <meta name="rare-threshold"> of index.html, in percent of players
+    readRareThreshold() {
+        const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        const match = html.match(/<meta name="rare-threshold" content="([^"]*)"/);
+        return (match && parseFloat(match[1])) || 10;
+    }
+
+    readSiteDomain() {
+        const cnamePath = path.join(ROOT, 'CNAME');
+        return fs.existsSync(cnamePath) ? fs.readFileSync(cnamePath, 'utf8').trim() : '';
+    }
+
+    write(content, count) {
+        if (!this.out) {
+            process.stdout.write(content);
+            return;
+        }
+        fs.writeFileSync(this.out, content);
+        console.log(`💾 ${count} games exported to ${this.out}`);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    const limit = parseInt(flagValues('--limit')[0], 10);
+    const outIndex = process.argv.indexOf('--out');
+    new CollectionExporter({
+        format: flagValues('--format')[0],
+        out: outIndex !== -1 ? process.argv[outIndex + 1] : null,
+        platforms: flagValues('--platform'),
+        tags: flagValues('--tag'),
+        excludedTags: flagValues('--exclude'),
+        sort: flagValues('--sort')[0],
+        limit: limit > 0 ? limit : null
+    }).run();
+}
+
+module.exports = CollectionExporter;
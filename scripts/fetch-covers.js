@@ -7,68 +7,222 @@
  * Usage:
  *   node scripts/fetch-covers.js          # Fetch missing only
  *   node scripts/fetch-covers.js --force  # Re-download all covers
+ *   node scripts/fetch-covers.js --sync-steam  # Sync Steam progress first (needs STEAM_KEY, STEAM_ID)
+ *   node scripts/fetch-covers.js --sync-ra     # Sync RetroAchievements progress first (needs RA_KEY, RA_USER)
+ *   node scripts/fetch-covers.js --export epic=legendary.json --export xbox=titlehub.json
+ *                                               # Use local library exports for names and covers
+ *   node scripts/fetch-covers.js --concurrency 8  # Games processed at once (default 4)
+ *   node scripts/fetch-covers.js --no-cache       # Ignore cached responses (they are still refreshed)
+ *   node scripts/fetch-covers.js --dry-run        # Report what would change, write nothing
+ *   node scripts/fetch-covers.js --platform steam --id 413150 --only covers
+ *                                               # Narrow a run to platforms, games and fields (names, covers, consoles)
+ *   node scripts/fetch-covers.js --report report.json  # Write the summary as JSON
+ *   STEAM_ID=... node scripts/fetch-covers.js --sync-steam --user alice
+ *                                               # Update the files of a team profile (data/users.json)
  * 
  * Features:
  * - Fetches missing game names from Steam and RetroAchievements APIs
  * - Fetches Steam covers automatically using Steam Store API
- * - Supports multiple Steam image formats (library, header)
+ * - Supports cover styles: Steam headers or library capsules, RetroAchievements icons, box art,
+ *   title screens or screenshots (coverStyle of the platform or game, see js/platforms/)
  * - Validates image URLs before adding them
  * - Preserves existing names and covers
- * - Works with separate platform files (steam.json, gog.json, retroachievements.json)
+ * - Works with separate platform files, one per platform in the registry (js/platforms.js)
+ * - Syncs Steam achievement counts, unlock dates and playtime from the owner's profile
+ * - Syncs RetroAchievements softcore/hardcore progress for base sets and subsets
+ * - Writes per-achievement detail files (data/achievements/<platform>/<id>.json) with global unlock rates
+ * - Appends a dated snapshot of the games whose counts changed to data/history.json (js/history.js),
+ *   read by the dashboard's What Changed panel and scripts/changes.js
+ * - Caches responses in .cache/ and only syncs games whose progress moved since the last run,
+ *   so a run where nothing changed makes no requests (scripts/lib/http-client.js)
+ * - Resizes covers to card-sized WebP and JPEG variants with a blurred placeholder and dominant color,
+ *   when sharp is installed (scripts/lib/cover-images.js)
  * - Provides detailed logging
  */
 
 const fs = require('fs');
-const https = require('https');
 const path = require('path');
+const PlatformRegistry = require('../js/platforms');
+const DashboardRender = require('../js/render');
+const DashboardHistory = require('../js/history');
+const { HttpClient } = require('./lib/http-client');
+const { runPool } = require('./lib/task-pool');
+const { CoverImageProcessor, COVER_SHAPES } = require('./lib/cover-images');
 
-// Parse command line arguments
-const FORCE_REFRESH = process.argv.includes('--force') || process.argv.includes('-f');
+PlatformRegistry.loadAll();
+
+const FETCH_STEPS = ['names', 'covers', 'consoles'];
+
+// Flags with values, repeatable or comma-separated: --platform steam,gog --id 413150 --id 620
+function flagValues(argv, flag) {
+    return argv
+        .flatMap((arg, i) => arg === flag && argv[i + 1] ? argv[i + 1].split(',') : [])
+        .map(value => value.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Options of the constructor from command line arguments
+ * @param {string[]} argv - Arguments after the script
+ * @returns {Object} Options; user is the profile id
+ */
+function parseArgs(argv) {
+    const concurrencyIndex = argv.indexOf('--concurrency');
+
+    // Offline library exports: --export <platform>=<file>
+    const exportFiles = {};
+    argv.forEach((arg, i) => {
+        if (arg === '--export' && argv[i + 1]) {
+            const [platform, file] = argv[i + 1].split('=');
+            if (platform && file) exportFiles[platform] = file;
+        }
+    });
+
+    return {
+        force: argv.includes('--force') || argv.includes('-f'),
+        syncSteam: argv.includes('--sync-steam'),
+        syncRa: argv.includes('--sync-ra'),
+        noCache: argv.includes('--no-cache'),
+        dryRun: argv.includes('--dry-run'),
+        platforms: flagValues(argv, '--platform'),
+        ids: flagValues(argv, '--id'),
+        only: flagValues(argv, '--only'),
+        reportPath: flagValues(argv, '--report')[0] || null,
+        user: flagValues(argv, '--user')[0] || null,
+        concurrency: Math.max(1, parseInt(concurrencyIndex !== -1 ? argv[concurrencyIndex + 1] : '', 10) || 4),
+        exportFiles
+    };
+}
+
+// Team profile of data/users.json whose files are updated, null for the files in data/
+function loadUser(root, id) {
+    if (!id) return null;
+    const usersPath = path.join(root, 'data', 'users.json');
+    const users = fs.existsSync(usersPath) ? DashboardRender.normalizeUsers(JSON.parse(fs.readFileSync(usersPath, 'utf8'))) : [];
+    const user = users.find(u => u.id === id);
+    if (!user) throw new Error(`No profile "${id}" in data/users.json`);
+    return user;
+}
 
 // Configuration
 const STEAM_SEARCH_API = 'https://store.steampowered.com/api/storesearch/';
 const STEAM_CDN_BASE = 'https://cdn.akamai.steamstatic.com/steam/apps/';
-const COVERS_DIR = path.join(process.cwd(), 'assets', 'covers');
+
+// How long cached responses are used without asking the server again
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const CACHE_TTL = {
+    metadata: 30 * DAY,  // Names, icons, consoles, store search and pages, achievement schemas
+    images: 7 * DAY,     // Cover probes (HEAD)
+    rarity: 7 * DAY,     // Global unlock percentages
+    progress: 6 * HOUR   // Owned games and player progress (the overviews can't be revalidated, so they're fetched again after this)
+};
+// Games whose progress looks unchanged are still synced fully once this old
+const FULL_SYNC_AGE = 7 * DAY;
+
+// Minimum time between requests to a host (ms)
+const HOST_INTERVALS = {
+    'store.steampowered.com': 1000,  // About 200 requests per 5 minutes
+    'api.steampowered.com': 200,
+    'retroachievements.org': 500
+};
+
+// Steam Web API configuration (needed for progress sync and per-achievement details)
+// STEAM_API_BASE can point at a local mock of the Web API (http:// is supported)
+const STEAM_API_KEY = process.env.STEAM_KEY || '';
+const STEAM_ID = process.env.STEAM_ID || '';
+const STEAM_WEB_API = (process.env.STEAM_API_BASE || 'https://api.steampowered.com').replace(/\/$/, '');
 
 // RetroAchievements API configuration
 // API key can be set via environment variable or will prompt for manual entry
 const RA_API_KEY = process.env.RA_KEY || '';
 const RA_API_BASE = 'https://retroachievements.org/API/API_GetGame.php';
 const RA_CONSOLES_API = 'https://retroachievements.org/API/API_GetConsoleIDs.php';
+const RA_PROGRESS_API = 'https://retroachievements.org/API/API_GetGameInfoAndUserProgress.php';
+const RA_COMPLETION_API = 'https://retroachievements.org/API/API_GetUserCompletionProgress.php';
+const RA_USER = process.env.RA_USER || '';
 const RA_IMAGE_BASE = 'https://media.retroachievements.org';
 
-// Steam image formats (in order of preference)
-const STEAM_IMAGE_FORMATS = [
-    'header.jpg',                   // Standard header (460x215) - preferred
-];
+// Steam image formats by cover style (in order of preference)
+const STEAM_IMAGE_FORMATS = {
+    header: ['header.jpg'],                                      // Standard header (460x215)
+    portrait: ['library_600x900.jpg', 'library_600x900_2x.jpg']  // Library capsule (600x900, 1200x1800)
+};
+
+// RetroAchievements game fields by cover style, and the image RetroAchievements shows when there is none
+const RA_IMAGE_FIELDS = {
+    icon: 'ImageIcon',
+    boxart: 'ImageBoxArt',
+    title: 'ImageTitle',
+    ingame: 'ImageIngame'
+};
+const RA_NO_IMAGE = '/Images/000002.png';
 
 class CoverFetcher {
-    constructor() {
-        this.platformData = {
-            steam: [],
-            gog: [],
-            retroachievements: []
-        };
-        this.updated = {
-            steam: false,
-            gog: false,
-            retroachievements: false
-        };
+    /**
+     * @param {Object} [options] - As parsed from the command line (see the usage above)
+     * @param {string} [options.root] - Site root holding data/ and assets/, the current directory by default
+     * @param {?Object} [options.user] - Team profile whose files are updated (loadUser), null for data/
+     */
+    constructor({
+        root = process.cwd(),
+        force = false,
+        syncSteam = false,
+        syncRa = false,
+        noCache = false,
+        dryRun = false,
+        platforms = [],
+        ids = [],
+        only = [],
+        reportPath = null,
+        user = null,
+        concurrency = 4,
+        exportFiles = {}
+    } = {}) {
+        this.root = path.resolve(root);
+        this.options = { force, syncSteam, syncRa, noCache, dryRun, platforms, ids, only, reportPath, concurrency, exportFiles };
+        this.user = user;
+        this.coversDir = path.join(this.root, 'assets', 'covers');
+        this.achievementsDir = path.join(this.root, DashboardRender.getUserDataFile('data/achievements', user));
+        this.cacheDir = path.join(this.root, '.cache');
+        this.syncStatePath = path.join(this.cacheDir, user ? `sync-state-${user.id}.json` : 'sync-state.json');
+        this.historyFile = DashboardRender.getUserDataFile('data/history.json', user);
+
+        this.platformData = {};
+        this.updated = {};
+        PlatformRegistry.ids().forEach(platform => {
+            this.platformData[platform] = [];
+            this.updated[platform] = false;
+        });
         this.raConsoles = null; // Cache for RetroAchievements console list
-        this.ensureCoversDirectory();
+        this.exports = {}; // Parsed --export files, by platform
+        this.http = new HttpClient({
+            cacheDir: path.join(this.cacheDir, 'http'),
+            readCache: !noCache,
+            concurrency,
+            hostIntervals: HOST_INTERVALS,
+            defaultInterval: 100
+        });
+        this.syncState = this.loadSyncState(); // Progress fingerprints of the last sync, by platform and game
+        this.syncStateChanged = false;
+        this.unchangedProgress = new Set(); // '<platform>/<id>' of games the sync found unchanged
+        this.changes = []; // What this run changed (or would change with --dry-run), for --report
+        this.covers = new CoverImageProcessor(this.root);
+        if (!this.options.dryRun) {
+            this.ensureCoversDirectory();
+        }
     }
 
     ensureCoversDirectory() {
         // Create main covers directory
-        if (!fs.existsSync(COVERS_DIR)) {
-            fs.mkdirSync(COVERS_DIR, { recursive: true });
-            console.log(`📁 Created covers directory: ${COVERS_DIR}\n`);
+        if (!fs.existsSync(this.coversDir)) {
+            fs.mkdirSync(this.coversDir, { recursive: true });
+            console.log(`📁 Created covers directory: ${this.coversDir}\n`);
         }
         
         // Create platform-specific directories
-        const platforms = ['steam', 'gog', 'retroachievements'];
-        platforms.forEach(platform => {
-            const platformDir = path.join(COVERS_DIR, platform);
+        PlatformRegistry.ids().forEach(platform => {
+            const platformDir = path.join(this.coversDir, platform);
             if (!fs.existsSync(platformDir)) {
                 fs.mkdirSync(platformDir, { recursive: true });
                 console.log(`📁 Created platform directory: ${platformDir}`);
@@ -82,25 +236,105 @@ class CoverFetcher {
             console.log('🎮 Game Cover & Name Fetcher v1.1');
             console.log('====================================\n');
 
+            this.checkOptions();
+            if (this.user) {
+                console.log(`👤 Profile ${this.user.name}: files in ${this.user.dataDir}/\n`);
+            }
+            if (this.shouldFetch('covers') && !this.covers.available) {
+                console.log('⚠️  sharp is not installed (npm install sharp), covers are not resized\n');
+            }
             this.loadGamesData();
-            await this.fetchRAConsoles(); // Pre-fetch console list
+            if (this.options.syncSteam && this.isPlatformTargeted('steam')) {
+                await this.syncSteamProgress(); // Before fetching, so new games get names and covers
+            }
+            if (this.options.syncRa && this.isPlatformTargeted('retroachievements')) {
+                await this.syncRetroAchievementsProgress();
+            }
+            if (this.isPlatformTargeted('retroachievements') && this.shouldFetch('consoles')) {
+                await this.fetchRAConsoles(); // Pre-fetch console list
+            }
             await this.fetchAllMissingData();
+            if (this.options.only.length === 0) {
+                await this.fetchAllAchievementDetails();
+            }
             this.saveGamesData();
-            this.printSummary();
+            this.saveHistory();
+            this.saveSyncState();
+            const summary = this.printSummary();
+            if (this.options.reportPath) {
+                this.writeReport(summary);
+            }
 
         } catch (error) {
             console.error('❌ Fatal error:', error.message);
-            process.exit(1);
+            throw error;
+        }
+    }
+
+    checkOptions() {
+        const unknownPlatforms = this.options.platforms.filter(platform => !PlatformRegistry.get(platform));
+        if (unknownPlatforms.length > 0) {
+            throw new Error(`Unknown platform: ${unknownPlatforms.join(', ')} (known: ${PlatformRegistry.ids().join(', ')})`);
+        }
+        const unknownSteps = this.options.only.filter(step => !FETCH_STEPS.includes(step));
+        if (unknownSteps.length > 0) {
+            throw new Error(`Unknown --only value: ${unknownSteps.join(', ')} (use ${FETCH_STEPS.join(', ')})`);
         }
+
+        if (this.options.dryRun) {
+            console.log('🧪 Dry run: no data, cover or achievement files are written\n');
+        }
+        const filters = [
+            this.options.platforms.length > 0 && `platforms ${this.options.platforms.join(', ')}`,
+            this.options.ids.length > 0 && `games ${this.options.ids.join(', ')}`,
+            this.options.only.length > 0 && `${this.options.only.join(', ')} only`
+        ].filter(Boolean);
+        if (filters.length > 0) {
+            console.log(`🎯 Limited to ${filters.join('; ')}\n`);
+        }
+    }
+
+    isPlatformTargeted(platform) {
+        return this.options.platforms.length === 0 || this.options.platforms.includes(platform);
+    }
+
+    // --platform and --id narrow a run; an --id matches a platformId or a RetroAchievements subset ID
+    isTargeted(platform, game) {
+        if (!this.isPlatformTargeted(platform)) return false;
+        if (this.options.ids.length === 0) return true;
+        return this.options.ids.includes(String(game.platformId)) || Object.keys(game.subsets || {}).some(key => this.options.ids.includes(key));
+    }
+
+    // --only limits the name and cover step to some fields
+    shouldFetch(step) {
+        return this.options.only.length === 0 || this.options.only.includes(step);
+    }
+
+    /**
+     * Note a change of this run for the --report file
+     * @param {string} platform - Platform id
+     * @param {Object} game - Data file entry
+     * @param {string} field - Changed field (name, console, coverImage, coverSizes, progress fields, achievements, added)
+     * @param {*} value - New value
+     * @param {?string} [set] - RetroAchievements set key, for changes of a subset
+     */
+    recordChange(platform, game, field, value, set = null) {
+        this.changes.push({
+            platform,
+            platformId: String(game.platformId),
+            ...(set ? { set } : {}),
+            name: game.name || null,
+            field,
+            value
+        });
     }
 
     loadGamesData() {
         try {
-            const platforms = ['steam', 'gog', 'retroachievements'];
             let totalGames = 0;
             
-            platforms.forEach(platform => {
-                const dataPath = path.join(process.cwd(), 'data', `${platform}.json`);
+            PlatformRegistry.all().forEach(({ id: platform, dataFile }) => {
+                const dataPath = path.join(this.root, DashboardRender.getUserDataFile(dataFile, this.user));
                 if (fs.existsSync(dataPath)) {
                     this.platformData[platform] = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
                     totalGames += this.platformData[platform].length;
@@ -121,223 +355,758 @@ class CoverFetcher {
         console.log('🔍 Starting data fetch (names and covers)...\n');
 
         for (const platform of Object.keys(this.platformData)) {
-            const games = this.platformData[platform];
+            const games = this.platformData[platform].filter(game => this.isTargeted(platform, game));
             if (games.length === 0) continue;
             
             console.log(`\n=== Processing ${platform.toUpperCase()} (${games.length} games) ===\n`);
+
+            await runPool(games, this.options.concurrency, (game, i) => this.fetchGameData(platform, game, `[${i + 1}/${games.length}]`));
+        }
+    }
+
+    /**
+     * Fetch the missing name, console and covers of one game (every set of a RetroAchievements game)
+     * Also used by server.js for the admin panel's fetch button
+     * @param {string} platform - Platform id
+     * @param {Object} game - Entry of the platform data file, updated in place
+     * @param {string} [label] - Log prefix
+     */
+    async fetchGameData(platform, game, label = '') {
+        // Handle RetroAchievements games with subsets
+        if (platform === 'retroachievements' && game.subsets && typeof game.subsets === 'object') {
+            console.log(`${label} Game ${game.platformId} with ${Object.keys(game.subsets).length} subsets`);
             
-            for (let i = 0; i < games.length; i++) {
-                const game = games[i];
-                
-                // Handle RetroAchievements games with subsets
-                if (platform === 'retroachievements' && game.subsets && typeof game.subsets === 'object') {
-                    console.log(`[${i + 1}/${games.length}] Game ${game.platformId} with ${Object.keys(game.subsets).length} subsets`);
-                    
-                    // Fetch parent game data once for all subsets
-                    const parentGameData = await this.fetchRetroAchievementsGameData(game.platformId);
+            // Fetch parent game data once for all subsets, and only when one of them misses something
+            let parentGameData;
+            const loadParentGameData = async () => {
+                if (parentGameData === undefined) {
+                    parentGameData = await this.fetchRetroAchievementsGameData(game.platformId);
                     if (!parentGameData) {
                         console.log(`  ⚠️  Could not fetch parent game data for ${game.platformId}`);
                     }
-                    
-                    const subsetEntries = Object.entries(game.subsets);
-                    for (let j = 0; j < subsetEntries.length; j++) {
-                        const [key, subset] = subsetEntries[j];
-                        const isBase = key === 'Base';
-                        const setDisplayName = subset.name || `${key} (${isBase ? game.platformId : key})`;
-                        console.log(`  [Subset ${j + 1}/${subsetEntries.length}] ${setDisplayName}`);
-                        
-                        let needsUpdate = false;
-                        
-                        // Fetch missing name
-                        if (isBase) {
-                            // Base name is stored at parent level
-                            if (!game.name) {
-                                console.log(`    📝 Fetching parent name...`);
-                                if (parentGameData && parentGameData.Title) {
-                                    // Get clean parent title (strip content inside ~ like ~Hack~ or ~Subset~)
-                                    let parentTitle = parentGameData.Title;
-                                    parentTitle = parentTitle.replace(/~[^~]*~/g, '').trim();
-                                    game.name = parentTitle;
-                                    this.updated[platform] = true;
-                                    needsUpdate = true;
-                                    console.log(`    ✅ Name added: ${game.name}`);
-                                } else {
-                                    console.log(`    ❌ Could not fetch name`);
-                                }
-                            }
-                            
-                            // Fetch console (stored at parent level)
-                            if (!game.console) {
-                                if (parentGameData && parentGameData.ConsoleID) {
-                                    const consoleName = this.getConsoleName(parentGameData.ConsoleID);
-                                    if (consoleName) {
-                                        game.console = consoleName;
-                                        this.updated[platform] = true;
-                                        needsUpdate = true;
-                                        console.log(`    🎮 Console: ${game.console}`);
-                                    }
-                                }
-                            }
+                }
+                return parentGameData;
+            };
+            
+            const subsetEntries = Object.entries(game.subsets);
+            for (let j = 0; j < subsetEntries.length; j++) {
+                const [key, subset] = subsetEntries[j];
+                const isBase = key === 'Base';
+                const setDisplayName = subset.name || `${key} (${isBase ? game.platformId : key})`;
+                console.log(`  [Subset ${j + 1}/${subsetEntries.length}] ${setDisplayName}`);
+                
+                let needsUpdate = false;
+                
+                // Fetch missing name
+                if (isBase) {
+                    // Base name is stored at parent level
+                    if (!game.name && this.shouldFetch('names')) {
+                        console.log(`    📝 Fetching parent name...`);
+                        await loadParentGameData();
+                        if (parentGameData && parentGameData.Title) {
+                            // Get clean parent title (strip content inside ~ like ~Hack~ or ~Subset~)
+                            let parentTitle = parentGameData.Title;
+                            parentTitle = parentTitle.replace(/~[^~]*~/g, '').trim();
+                            game.name = parentTitle;
+                            this.updated[platform] = true;
+                            this.recordChange(platform, game, 'name', game.name);
+                            needsUpdate = true;
+                            console.log(`    ✅ Name added: ${game.name}`);
                         } else {
-                            // Non-base subsets store just the subset name
-                            if (!subset.name) {
-                                console.log(`    📝 Fetching subset name...`);
-                                // Fetch subset data to get its name
-                                const subsetGameData = await this.fetchRetroAchievementsGameData(key);
-                                if (subsetGameData && subsetGameData.Title) {
-                                    // Extract subset name from title (e.g., "Game ~Subset - Bonus~" -> "Bonus")
-                                    let subsetTitle = subsetGameData.Title;
-                                    const subsetMatch = subsetTitle.match(/~Subset\s*[-–]\s*([^~]+)~/i);
-                                    if (subsetMatch) {
-                                        subset.name = subsetMatch[1].trim();
-                                    } else {
-                                        // Fallback: clean the title and use it
-                                        subset.name = subsetTitle.replace(/~[^~]*~/g, '').trim();
-                                    }
-                                    this.updated[platform] = true;
-                                    needsUpdate = true;
-                                    console.log(`    ✅ Name added: ${subset.name}`);
-                                } else {
-                                    console.log(`    ❌ Could not fetch name`);
-                                }
-                            }
+                            console.log(`    ❌ Could not fetch name`);
                         }
-                        
-                        // Fetch missing cover for subset
-                        if (!subset.coverImage || FORCE_REFRESH) {
-                            if (FORCE_REFRESH && subset.coverImage) {
-                                console.log(`    🔄 Force refreshing cover...`);
-                            } else {
-                                console.log(`    🖼️  Fetching cover image...`);
-                            }
-                            
-                            let coverUrl;
-                            if (!isBase && subset.coverId) {
-                                // Non-base subsets use coverId from JSON
-                                coverUrl = `${RA_IMAGE_BASE}/Images/${subset.coverId}.png`;
-                                console.log(`    🖼️  Using subset coverId: ${coverUrl}`);
-                            } else if (parentGameData && parentGameData.ImageIcon) {
-                                // Base subsets use parent game's icon
-                                coverUrl = `${RA_IMAGE_BASE}${parentGameData.ImageIcon}`;
-                                console.log(`    🖼️  Found icon: ${coverUrl}`);
+                    }
+                    
+                    // Fetch console (stored at parent level)
+                    if (!game.console && this.shouldFetch('consoles')) {
+                        await loadParentGameData();
+                        if (parentGameData && parentGameData.ConsoleID) {
+                            const consoleName = this.getConsoleName(parentGameData.ConsoleID);
+                            if (consoleName) {
+                                game.console = consoleName;
+                                this.updated[platform] = true;
+                                this.recordChange(platform, game, 'console', game.console);
+                                needsUpdate = true;
+                                console.log(`    🎮 Console: ${game.console}`);
                             }
-                            
-                            if (coverUrl) {
-                                const ext = coverUrl.match(/\.(png|jpg|jpeg|gif|webp)$/i)?.[1] || 'png';
-                                // Use different filename for base vs subset
-                                const fileId = isBase ? game.platformId : key;
-                                const localPath = await this.downloadImage(coverUrl, platform, fileId, `cover.${ext}`);
-                                if (localPath) {
-                                    subset.coverImage = localPath;
-                                    this.updated[platform] = true;
-                                    needsUpdate = true;
-                                    console.log(`    ✅ Cover added!`);
-                                } else {
-                                    console.log(`    ❌ Could not download cover`);
-                                }
+                        }
+                    }
+                } else {
+                    // Non-base subsets store just the subset name
+                    if (!subset.name && this.shouldFetch('names')) {
+                        console.log(`    📝 Fetching subset name...`);
+                        // Fetch subset data to get its name
+                        const subsetGameData = await this.fetchRetroAchievementsGameData(key);
+                        if (subsetGameData && subsetGameData.Title) {
+                            // Extract subset name from title (e.g., "Game ~Subset - Bonus~" -> "Bonus")
+                            let subsetTitle = subsetGameData.Title;
+                            const subsetMatch = subsetTitle.match(/~Subset\s*[-–]\s*([^~]+)~/i);
+                            if (subsetMatch) {
+                                subset.name = subsetMatch[1].trim();
                             } else {
-                                console.log(`    ❌ No icon found`);
+                                // Fallback: clean the title and use it
+                                subset.name = subsetTitle.replace(/~[^~]*~/g, '').trim();
                             }
-                        } else if (!needsUpdate) {
-                            console.log(`    ✅ Already complete`);
+                            this.updated[platform] = true;
+                            this.recordChange(platform, game, 'name', subset.name, key);
+                            needsUpdate = true;
+                            console.log(`    ✅ Name added: ${subset.name}`);
+                        } else {
+                            console.log(`    ❌ Could not fetch name`);
                         }
-                        
-                        // Be respectful to APIs
-                        await this.delay(300);
                     }
-                    console.log();
-                    continue;
                 }
                 
-                const displayName = game.name || `${platform} game ${game.platformId}`;
-                console.log(`[${i + 1}/${games.length}] ${displayName}`);
-
-                let needsUpdate = false;
-
-                // Fetch missing name
-                if (!game.name) {
-                    console.log(`  📝 Fetching game name...`);
-                    const name = await this.fetchGameName(game, platform);
-                    if (name) {
-                        game.name = name;
-                        this.updated[platform] = true;
-                        needsUpdate = true;
-                        console.log(`  ✅ Name added: ${name}`);
+                // Fetch missing cover for subset (all covers if --force, and covers of another style than the wanted one)
+                // Use different filename for base vs subset
+                const fileId = isBase ? game.platformId : key;
+                const restyle = this.coverStyleChanged(platform, fileId, subset, game);
+                const fetchCover = this.shouldFetch('covers') && (!subset.coverImage || this.options.force || restyle);
+                if (fetchCover) {
+                    const { style } = PlatformRegistry.coverStyle(PlatformRegistry.get(platform), subset, game);
+                    if (restyle) {
+                        console.log(`    🎨 Fetching ${style} cover...`);
+                    } else if (this.options.force && subset.coverImage) {
+                        console.log(`    🔄 Force refreshing cover...`);
                     } else {
-                        console.log(`  ❌ Could not fetch name`);
+                        console.log(`    🖼️  Fetching cover image...`);
                     }
-                }
-
-                // Fetch missing cover (or all covers if --force)
-                if (!game.coverImage || FORCE_REFRESH) {
-                    if (FORCE_REFRESH && game.coverImage) {
-                        console.log(`  🔄 Force refreshing cover...`);
+                    
+                    let cover = null;
+                    if (style === 'icon' && !isBase && subset.coverId) {
+                        // Non-base subsets use coverId from JSON
+                        cover = { url: `${RA_IMAGE_BASE}/Images/${subset.coverId}.png`, style };
+                        console.log(`    🖼️  Using subset coverId: ${cover.url}`);
                     } else {
-                        console.log(`  🖼️  Fetching cover image...`);
+                        // Otherwise sets use the parent game's images
+                        cover = this.pickRetroAchievementsImage(await loadParentGameData(), style, '    ');
                     }
-                    const success = await this.fetchGameCover(game, platform);
-                    if (success) {
-                        this.updated[platform] = true;
-                        needsUpdate = true;
-                        console.log(`  ✅ Cover added!`);
+                    
+                    if (cover) {
+                        const ext = cover.url.match(/\.(png|jpg|jpeg|gif|webp)$/i)?.[1] || 'png';
+                        const previous = subset.coverImage;
+                        const localPath = await this.downloadImage(cover.url, platform, this.coverFileId(platform, fileId, cover.style), `cover.${ext}`);
+                        if (localPath) {
+                            subset.coverImage = localPath;
+                            this.updated[platform] = true;
+                            this.recordChange(platform, game, 'coverImage', localPath, key);
+                            if (cover.style !== style) {
+                                subset.coverStyle = cover.style;
+                                this.recordChange(platform, game, 'coverStyle', cover.style, key);
+                            }
+                            if (restyle) this.removeReplacedCover(previous, subset, '    ');
+                            needsUpdate = true;
+                            console.log(`    ✅ Cover added!`);
+                        } else {
+                            console.log(`    ❌ Could not download cover`);
+                        }
                     } else {
-                        console.log(`  ❌ No cover found`);
+                        console.log(`    ❌ No icon found`);
                     }
-                } else if (!needsUpdate) {
-                    console.log(`  ✅ Already complete`);
                 }
+                if (await this.processCover(platform, game, subset, key)) {
+                    needsUpdate = true;
+                }
+                if (!fetchCover && !needsUpdate) {
+                    console.log(`    ✅ Already complete`);
+                }
+            }
+            console.log();
+            return;
+        }
+        
+        const displayName = game.name || `${platform} game ${game.platformId}`;
+        console.log(`${label} ${displayName}`);
+
+        let needsUpdate = false;
+
+        // Fetch missing name
+        if (!game.name && this.shouldFetch('names')) {
+            console.log(`  📝 Fetching game name...`);
+            const name = await this.fetchGameName(game, platform);
+            if (name) {
+                game.name = name;
+                this.updated[platform] = true;
+                this.recordChange(platform, game, 'name', name);
+                needsUpdate = true;
+                console.log(`  ✅ Name added: ${name}`);
+            } else {
+                console.log(`  ❌ Could not fetch name`);
+            }
+        }
+
+        // Fetch missing console, for platforms that know it
+        const definition = PlatformRegistry.get(platform);
+        if (!game.console && definition.fetchConsole && this.shouldFetch('consoles')) {
+            const consoleName = await definition.fetchConsole(this, game);
+            if (consoleName) {
+                game.console = consoleName;
+                this.updated[platform] = true;
+                this.recordChange(platform, game, 'console', consoleName);
+                needsUpdate = true;
+                console.log(`  🎮 Console: ${consoleName}`);
+            }
+        }
+
+        // Fetch missing cover (all covers if --force, and covers of another style than the wanted one)
+        const restyle = this.coverStyleChanged(platform, game.platformId, game);
+        const fetchCover = this.shouldFetch('covers') && (!game.coverImage || this.options.force || restyle);
+        if (fetchCover) {
+            const previous = game.coverImage;
+            const previousStyle = game.coverStyle;
+            if (restyle) {
+                console.log(`  🎨 Fetching ${PlatformRegistry.coverStyle(definition, game).style} cover...`);
+            } else if (this.options.force && game.coverImage) {
+                console.log(`  🔄 Force refreshing cover...`);
+            } else {
+                console.log(`  🖼️  Fetching cover image...`);
+            }
+            const success = await this.fetchGameCover(game, platform);
+            if (success) {
+                this.updated[platform] = true;
+                this.recordChange(platform, game, 'coverImage', game.coverImage);
+                // Games without an image in the wanted style keep the one they fell back to
+                if (game.coverStyle !== previousStyle) {
+                    this.recordChange(platform, game, 'coverStyle', game.coverStyle);
+                }
+                if (restyle) this.removeReplacedCover(previous, game, '  ');
+                needsUpdate = true;
+                console.log(`  ✅ Cover added!`);
+            } else {
+                console.log(`  ❌ No cover found`);
+            }
+        }
+        if (await this.processCover(platform, game, game)) {
+            needsUpdate = true;
+        }
+        if (!fetchCover && !needsUpdate) {
+            console.log(`  ✅ Already complete`);
+        }
+
+        console.log();
+    }
+
+    /**
+     * Resize a local cover to card-sized WebP and JPEG variants and store their widths, placeholder and color
+     * Runs for covers without variants, and for every cover again with --force
+     * @param {string} platform - Platform id
+     * @param {Object} game - Data file entry
+     * @param {Object} target - The game, or the subset of a RetroAchievements game
+     * @param {?string} [key] - RetroAchievements set key of the subset
+     * @returns {Promise<boolean>} Whether the entry changed
+     */
+    async processCover(platform, game, target, key = null) {
+        const indent = key ? '    ' : '  ';
+        if (!this.shouldFetch('covers') || !this.covers.available) return false;
+        if (!target.coverImage || /^https?:\/\//.test(target.coverImage)) return false;
+        if (this.covers.hasVariants(target) && !this.options.force) return false;
+        // In dry runs new covers are not downloaded
+        if (!fs.existsSync(path.join(this.root, target.coverImage))) return false;
+
+        const shape = PlatformRegistry.coverStyle(PlatformRegistry.get(platform), target, game).shape || 'wide';
+        if (this.options.dryRun) {
+            console.log(`${indent}🧪 Would resize ${target.coverImage}`);
+            this.updated[platform] = true;
+            this.recordChange(platform, game, 'coverSizes', (COVER_SHAPES[shape] || COVER_SHAPES.wide).widths, key);
+            return true;
+        }
+
+        try {
+            Object.assign(target, await this.covers.process(target.coverImage, shape));
+        } catch (error) {
+            console.log(`${indent}⚠️  Could not resize cover: ${error.message}`);
+            return false;
+        }
+        this.updated[platform] = true;
+        this.recordChange(platform, game, 'coverSizes', target.coverSizes, key);
+        console.log(`${indent}🪄 Cover resized: ${target.coverSizes.join(', ')}px (WebP, JPEG)`);
+        return true;
+    }
+
+    // File name of a cover, without extension: covers in the platform's first style keep the plain id
+    coverFileId(platform, fileId, style) {
+        const styles = PlatformRegistry.get(platform).coverStyles;
+        return !styles || style === Object.keys(styles)[0] ? String(fileId) : `${fileId}-${style}`;
+    }
+
+    /**
+     * Whether an entry's cover was downloaded in another style than the one now wanted
+     * Covers that don't follow the download file names (set by hand) are never replaced
+     * @param {string} platform - Platform id
+     * @param {string} fileId - Id the cover is saved under
+     * @param {...Object} entries - The entry, then those it inherits its style from
+     */
+    coverStyleChanged(platform, fileId, ...entries) {
+        const definition = PlatformRegistry.get(platform);
+        const coverImage = entries[0].coverImage;
+        if (!definition.coverStyles || !coverImage) return false;
+
+        const current = Object.keys(definition.coverStyles).find(style =>
+            coverImage.replace(/\.[^./]+$/, '') === `assets/covers/${platform}/${this.coverFileId(platform, fileId, style)}`);
+        return current !== undefined && current !== PlatformRegistry.coverStyle(definition, ...entries).style;
+    }
+
+    // Delete the cover of the previous style, unless the new style fell back to the same file
+    removeReplacedCover(previous, entry, indent) {
+        if (this.options.dryRun || !previous || previous === entry.coverImage) return;
+        this.covers.remove(previous, entry.coverSizes);
+        console.log(`${indent}🗑️  Removed ${previous}`);
+    }
+
+    /**
+     * Image of a RetroAchievements game in a cover style, or its icon when it has none
+     * @param {?Object} gameData - API_GetGame response
+     * @param {string} style - Cover style (RA_IMAGE_FIELDS)
+     * @param {string} [indent] - Log indentation
+     * @returns {?{url: string, style: string}} Image URL and the style it has
+     */
+    pickRetroAchievementsImage(gameData, style, indent = '  ') {
+        if (!gameData) return null;
+        const image = gameData[RA_IMAGE_FIELDS[style]];
+        if (image && image !== RA_NO_IMAGE) {
+            console.log(`${indent}🖼️  Found ${style}: ${RA_IMAGE_BASE}${image}`);
+            return { url: `${RA_IMAGE_BASE}${image}`, style };
+        }
+        if (style !== 'icon') {
+            console.log(`${indent}↩️  No ${style} image, falling back to the icon`);
+            return this.pickRetroAchievementsImage(gameData, 'icon', indent);
+        }
+        return null;
+    }
+
+    async syncSteamProgress() {
+        console.log('🔄 Syncing Steam progress...\n');
+
+        if (!STEAM_API_KEY || !STEAM_ID) {
+            console.log('⚠️  No STEAM_KEY/STEAM_ID set, skipping Steam sync\n');
+            return;
+        }
+
+        const owned = await this.fetchJson(
+            `${STEAM_WEB_API}/IPlayerService/GetOwnedGames/v1/?key=${STEAM_API_KEY}&steamid=${STEAM_ID}&include_appinfo=1&include_played_free_games=1`,
+            CACHE_TTL.progress
+        );
+        const ownedGames = owned && owned.response && Array.isArray(owned.response.games) ? owned.response.games : null;
+        if (!ownedGames) {
+            console.log('⚠️  Could not fetch owned games (is the profile\'s game details section public?)\n');
+            return;
+        }
+        console.log(`📋 ${ownedGames.length} owned games on Steam`);
+
+        const games = this.platformData.steam;
+        const ownedById = new Map(ownedGames.map(g => [String(g.appid), g]));
+        const knownIds = new Set(games.map(g => String(g.platformId)));
+
+        // Every tracked game, plus owned games with stats that are not tracked yet (only the --id games when given)
+        const candidates = [
+            ...games.map(g => String(g.platformId)),
+            ...ownedGames
+                .filter(g => !knownIds.has(String(g.appid)) && g.has_community_visible_stats)
+                .map(g => String(g.appid))
+        ].filter(appId => this.options.ids.length === 0 || this.options.ids.includes(appId));
+
+        // No playtime since the last sync means no new unlocks
+        const fingerprint = ownedGame => ownedGame ? `${ownedGame.rtime_last_played || 0}:${ownedGame.playtime_forever || 0}` : null;
+        const changedIds = candidates.filter(appId => !this.isUnchanged('steam', appId, fingerprint(ownedById.get(appId))));
+        console.log(`📋 ${changedIds.length} of ${candidates.length} games played since the last sync`);
+
+        const fetched = new Map(changedIds.map((appId, i) => [appId, i]));
+        const results = await runPool(changedIds, this.options.concurrency, appId => this.fetchSteamPlayerAchievements(appId, 0));
+
+        let updatedCount = 0;
+        let addedCount = 0;
 
-                console.log();
+        for (const appId of candidates) {
+            const ownedGame = ownedById.get(appId);
+            if (!fetched.has(appId)) {
+                this.unchangedProgress.add(`steam/${appId}`);
+                continue;
+            }
+
+            const achievements = results[fetched.get(appId)];
+            if (achievements) {
+                this.recordSync('steam', appId, fingerprint(ownedGame));
+            }
+            let game = games.find(g => String(g.platformId) === appId);
 
-                // Be respectful to APIs
-                await this.delay(300);
+            if (!game) {
+                // Only start tracking games that actually have achievements
+                if (!achievements || achievements.length === 0) continue;
+                game = { name: ownedGame.name || null, platformId: appId };
+                games.push(game);
+                this.recordChange('steam', game, 'added', true);
+                addedCount++;
+                console.log(`  ➕ Added: ${game.name || appId}`);
+            }
+
+            const progress = this.summarizeSteamProgress(achievements, ownedGame);
+            const changed = Object.keys(progress).filter(field => progress[field] !== undefined && game[field] !== progress[field]);
+            if (changed.length > 0) {
+                changed.forEach(field => {
+                    game[field] = progress[field];
+                    this.recordChange('steam', game, field, progress[field]);
+                });
+                this.updated.steam = true;
+                updatedCount++;
+                console.log(`  🔄 ${game.name || appId}: ${changed.join(', ')}`);
             }
         }
+
+        console.log(`\n✅ Steam sync: ${updatedCount} games updated, ${addedCount} added\n`);
     }
 
-    async fetchGameName(game, platform) {
+    summarizeSteamProgress(achievements, ownedGame) {
+        const progress = {};
+
+        if (achievements) {
+            const unlocked = achievements.filter(a => a.achieved);
+            const lastUnlock = Math.max(0, ...unlocked.map(a => a.unlocktime || 0));
+            progress.totalAchievements = achievements.length;
+            progress.unlockedAchievements = unlocked.length;
+            progress.lastAchievement = lastUnlock ? this.formatDate(new Date(lastUnlock * 1000)) : null;
+        }
+
+        if (ownedGame) {
+            // playtime_forever is in minutes, data files store hours
+            progress.playedTime = Math.round((ownedGame.playtime_forever || 0) / 6) / 10;
+        }
+
+        return progress;
+    }
+
+    async fetchSteamPlayerAchievements(appId, ttl = CACHE_TTL.progress) {
+        const player = await this.fetchJson(
+            `${STEAM_WEB_API}/ISteamUserStats/GetPlayerAchievements/v1/?key=${STEAM_API_KEY}&steamid=${STEAM_ID}&appid=${appId}`,
+            ttl
+        );
+        // Games without stats answer with success: false (HTTP 400)
+        if (!player || !player.playerstats || !player.playerstats.success) return null;
+        return player.playerstats.achievements || [];
+    }
+
+    async syncRetroAchievementsProgress() {
+        console.log('🔄 Syncing RetroAchievements progress...\n');
+
+        if (!RA_API_KEY || !RA_USER) {
+            console.log('⚠️  No RA_KEY/RA_USER set, skipping RetroAchievements sync\n');
+            return;
+        }
+
+        // Base set and every subset are tracked separately; plain entries hold progress at the top level
+        const sets = this.platformData.retroachievements
+            .filter(game => this.isTargeted('retroachievements', game))
+            .flatMap(game => game.subsets && typeof game.subsets === 'object'
+                ? Object.entries(game.subsets).map(([key, subset]) => [game, String(key === 'Base' ? game.platformId : key), subset, key])
+                : [[game, String(game.platformId), game, null]]);
+
+        // Sets without new awards since the last sync are skipped; without the overview every set is fetched
+        const completion = await this.fetchRetroAchievementsCompletion();
+        const fingerprint = setId => completion ? completion.get(setId) || 'unplayed' : null;
+        const changedSets = sets.filter(([, setId]) => !this.isUnchanged('retroachievements', setId, fingerprint(setId)));
+        console.log(`📋 ${changedSets.length} of ${sets.length} sets with new progress since the last sync`);
+        sets.filter(set => !changedSets.includes(set)).forEach(([, setId]) => this.unchangedProgress.add(`retroachievements/${setId}`));
+
+        const results = await runPool(changedSets, this.options.concurrency, ([, setId]) => this.fetchRetroAchievementsUserProgress(setId, 0));
+        let updatedCount = 0;
+
+        changedSets.forEach(([game, setId, target, key], i) => {
+            const gameData = results[i];
+            if (!gameData || !gameData.Achievements) {
+                console.log(`  ❌ ${setId}: could not fetch progress`);
+                return;
+            }
+            this.recordSync('retroachievements', setId, fingerprint(setId));
+
+            const progress = this.summarizeRetroAchievementsProgress(gameData);
+            const changed = Object.keys(progress).filter(field => target[field] !== progress[field]);
+            if (changed.length > 0) {
+                changed.forEach(field => {
+                    target[field] = progress[field];
+                    this.recordChange('retroachievements', game, field, progress[field], key);
+                });
+                this.updated.retroachievements = true;
+                updatedCount++;
+                console.log(`  🔄 ${game.name || game.platformId} (${setId}): ${changed.join(', ')}`);
+            }
+        });
+
+        console.log(`\n✅ RetroAchievements sync: ${updatedCount} sets updated\n`);
+    }
+
+    /**
+     * Award counts of every game the user played, one request per 500 games
+     * @returns {Promise<?Map<string, string>>} Progress fingerprint by game ID, null when the overview failed
+     */
+    async fetchRetroAchievementsCompletion() {
+        const fingerprints = new Map();
+        const pageSize = 500;
+
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await this.fetchJson(
+                `${RA_COMPLETION_API}?u=${encodeURIComponent(RA_USER)}&c=${pageSize}&o=${offset}&y=${RA_API_KEY}`,
+                CACHE_TTL.progress
+            );
+            if (!page || !Array.isArray(page.Results)) return null;
+
+            page.Results.forEach(result => {
+                fingerprints.set(String(result.GameID), [
+                    result.MaxPossible, result.NumAwarded, result.NumAwardedHardcore, result.MostRecentAwardedDate, result.HighestAwardKind
+                ].join(':'));
+            });
+            if (page.Results.length < pageSize || offset + pageSize >= (page.Total || 0)) return fingerprints;
+        }
+    }
+
+    // Progress is unchanged when its fingerprint matches the last sync's, which must not be older than FULL_SYNC_AGE
+    isUnchanged(platform, id, fingerprint) {
+        const last = (this.syncState[platform] || {})[id];
+        return Boolean(fingerprint && last && last.fingerprint === fingerprint && Date.now() - last.checkedAt < FULL_SYNC_AGE);
+    }
+
+    recordSync(platform, id, fingerprint) {
+        if (!fingerprint) return;
+        this.syncState[platform] = this.syncState[platform] || {};
+        this.syncState[platform][id] = { fingerprint, checkedAt: Date.now() };
+        this.syncStateChanged = true;
+    }
+
+    loadSyncState() {
+        if (this.options.noCache) return {};
+        try {
+            return JSON.parse(fs.readFileSync(this.syncStatePath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Snapshot of the counts after this run, when they changed since the last one
+    saveHistory() {
+        const historyPath = path.join(this.root, this.historyFile);
+        const history = fs.existsSync(historyPath) ? JSON.parse(fs.readFileSync(historyPath, 'utf8')) : [];
+        const games = PlatformRegistry.all()
+            .flatMap(definition => DashboardRender.expandPlatformGames(definition, this.platformData[definition.id]));
+        const today = new Date().toISOString().slice(0, 10);
+
+        const changed = DashboardHistory.recordSnapshot(history, DashboardHistory.getGameCounts(games), today);
+        if (changed === 0) return;
+        if (this.options.dryRun) {
+            console.log(`🧪 Would record ${changed} changed games in ${this.historyFile}\n`);
+            return;
+        }
+        fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+        fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
+        console.log(`📈 Recorded ${changed} changed games in ${this.historyFile}\n`);
+    }
+
+    saveSyncState() {
+        // A dry run's data is not saved, so the next run must see the same changes
+        if (!this.syncStateChanged || this.options.dryRun) return;
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+        fs.writeFileSync(this.syncStatePath, JSON.stringify(this.syncState, null, 2));
+    }
+
+    summarizeRetroAchievementsProgress(gameData) {
+        const achievements = Object.values(gameData.Achievements);
+        const earnedDates = achievements
+            .map(a => a.DateEarnedHardcore || a.DateEarned)
+            .filter(Boolean)
+            .sort();
+
+        return {
+            totalAchievements: achievements.length,
+            // Softcore count includes hardcore unlocks, as on the RA site
+            unlockedAchievements: achievements.filter(a => a.DateEarned || a.DateEarnedHardcore).length,
+            unlockedAchievementsHardcore: achievements.filter(a => a.DateEarnedHardcore).length,
+            lastAchievement: earnedDates.length > 0 ? this.parseRetroAchievementsDate(earnedDates[earnedDates.length - 1]) : null,
+            award: gameData.HighestAwardKind || null
+        };
+    }
+
+    async fetchAllAchievementDetails() {
+        console.log('\n🏆 Fetching achievement details...\n');
+
+        for (const platform of Object.keys(this.platformData)) {
+            const games = this.platformData[platform].filter(game => this.isTargeted(platform, game));
+            if (games.length === 0 || !this.canFetchAchievementDetails(platform)) continue;
+
+            console.log(`=== ${platform.toUpperCase()} achievements ===`);
+
+            // Each RetroAchievements subset has its own achievement list
+            const sets = games.flatMap(game => platform === 'retroachievements' && game.subsets && typeof game.subsets === 'object'
+                ? Object.keys(game.subsets).map(key => [game, key === 'Base' ? game.platformId : key, key])
+                : [[game, game.platformId, null]]);
+
+            await runPool(sets, this.options.concurrency, async ([game, setId, key]) => {
+                const achievements = await this.fetchAchievementDetails(platform, setId);
+                if (achievements) {
+                    const changed = this.saveAchievementDetails(platform, setId, achievements);
+                    const unlocked = achievements.filter(a => a.unlocked).length;
+                    if (changed) {
+                        this.recordChange(platform, game, 'achievements', `${unlocked}/${achievements.length}`, key);
+                    }
+                    console.log(`  ${changed ? (this.options.dryRun ? '🧪' : '💾') : '✅'} ${setId}: ${unlocked}/${achievements.length} unlocked`);
+                } else {
+                    console.log(`  ❌ ${setId}: no achievement data`);
+                }
+            });
+            console.log();
+        }
+    }
+
+    canFetchAchievementDetails(platform) {
         switch (platform) {
             case 'steam':
-                return await this.fetchSteamGameName(game.platformId);
-            case 'gog':
-                console.log(`    ⚠️  GOG - manual name needed`);
-                return null;
+                if (!STEAM_API_KEY || !STEAM_ID) {
+                    console.log('⚠️  No STEAM_KEY/STEAM_ID set, skipping Steam achievement details\n');
+                    return false;
+                }
+                return true;
+            case 'retroachievements':
+                if (!RA_API_KEY || !RA_USER) {
+                    console.log('⚠️  No RA_KEY/RA_USER set, skipping RetroAchievements achievement details\n');
+                    return false;
+                }
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    async fetchAchievementDetails(platform, platformId) {
+        // Progress the sync found unchanged comes from the cache, however old
+        const progressTtl = this.unchangedProgress.has(`${platform}/${platformId}`) ? Infinity : CACHE_TTL.progress;
+        switch (platform) {
+            case 'steam':
+                return await this.fetchSteamAchievements(platformId, progressTtl);
             case 'retroachievements':
-                return await this.fetchRetroAchievementsGameName(game.platformId);
+                return await this.fetchRetroAchievementsAchievements(platformId, progressTtl);
             default:
-                console.log(`    ⚠️  Unknown platform: ${platform}`);
                 return null;
         }
     }
 
-    async fetchSteamGameName(appId) {
-        return new Promise((resolve) => {
-            const url = `https://store.steampowered.com/api/appdetails?appids=${appId}`;
-
-            https.get(url, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(data);
-                        if (result[appId] && result[appId].success && result[appId].data) {
-                            resolve(result[appId].data.name);
-                        } else {
-                            console.log(`    ⚠️  Steam API returned no data for ${appId}`);
-                            resolve(null);
-                        }
-                    } catch (e) {
-                        console.log(`    ⚠️  Parse error: ${e.message}`);
-                        resolve(null);
-                    }
-                });
-            }).on('error', (e) => {
-                console.log(`    ⚠️  Request error: ${e.message}`);
-                resolve(null);
-            });
+    async fetchSteamAchievements(appId, progressTtl = CACHE_TTL.progress) {
+        const schema = await this.fetchJson(
+            `${STEAM_WEB_API}/ISteamUserStats/GetSchemaForGame/v2/?key=${STEAM_API_KEY}&appid=${appId}&l=english`,
+            CACHE_TTL.metadata
+        );
+        const definitions = schema && schema.game && schema.game.availableGameStats
+            ? schema.game.availableGameStats.achievements
+            : null;
+        if (!Array.isArray(definitions)) return null;
+
+        const progress = new Map(
+            ((await this.fetchSteamPlayerAchievements(appId, progressTtl)) || []).map(a => [a.apiname, a])
+        );
+        const rarity = await this.fetchSteamGlobalPercentages(appId);
+
+        return definitions.map(definition => {
+            const state = progress.get(definition.name);
+            const unlocked = Boolean(state && state.achieved);
+            return {
+                id: definition.name,
+                title: definition.displayName,
+                description: definition.description || '',
+                hidden: definition.hidden === 1,
+                icon: definition.icon,
+                iconLocked: definition.icongray,
+                unlocked,
+                unlockedAt: unlocked && state.unlocktime ? this.formatDate(new Date(state.unlocktime * 1000)) : null,
+                rarity: rarity.has(definition.name) ? this.roundRarity(rarity.get(definition.name)) : null
+            };
         });
     }
 
+    async fetchSteamGlobalPercentages(appId) {
+        // Public endpoint, no key needed; percent is a number or a numeric string depending on the app
+        const data = await this.fetchJson(
+            `${STEAM_WEB_API}/ISteamUserStats/GetGlobalAchievementPercentagesForApp/v2/?gameid=${appId}`,
+            CACHE_TTL.rarity
+        );
+        const achievements = data && data.achievementpercentages ? data.achievementpercentages.achievements : null;
+        return new Map((achievements || []).map(a => [a.name, Number(a.percent)]));
+    }
+
+    roundRarity(percent) {
+        if (!Number.isFinite(percent)) return null;
+        // Keep two decimals for very rare achievements so 0.04% does not become 0%
+        return percent < 1 ? Math.round(percent * 100) / 100 : Math.round(percent * 10) / 10;
+    }
+
+    async fetchRetroAchievementsUserProgress(gameId, ttl = CACHE_TTL.progress) {
+        // h=1 adds HighestAwardKind (mastered, completed, beaten-hardcore, beaten-softcore)
+        return await this.fetchJson(
+            `${RA_PROGRESS_API}?g=${gameId}&u=${encodeURIComponent(RA_USER)}&h=1&y=${RA_API_KEY}`,
+            ttl
+        );
+    }
+
+    async fetchRetroAchievementsAchievements(gameId, progressTtl = CACHE_TTL.progress) {
+        const gameData = await this.fetchRetroAchievementsUserProgress(gameId, progressTtl);
+        if (!gameData || !gameData.Achievements) return null;
+
+        // Unlock rate among everyone who played the set (softcore and hardcore)
+        const players = Number(gameData.NumDistinctPlayers) || 0;
+
+        return Object.values(gameData.Achievements)
+            .sort((a, b) => a.DisplayOrder - b.DisplayOrder || a.ID - b.ID)
+            .map(achievement => {
+                // Hardcore unlocks also set DateEarned, but prefer the hardcore date when present
+                const earned = achievement.DateEarnedHardcore || achievement.DateEarned;
+                return {
+                    id: String(achievement.ID),
+                    title: achievement.Title,
+                    description: achievement.Description || '',
+                    points: achievement.Points,
+                    icon: `${RA_IMAGE_BASE}/Badge/${achievement.BadgeName}.png`,
+                    iconLocked: `${RA_IMAGE_BASE}/Badge/${achievement.BadgeName}_lock.png`,
+                    unlocked: Boolean(earned),
+                    hardcore: Boolean(achievement.DateEarnedHardcore),
+                    unlockedAt: earned ? this.parseRetroAchievementsDate(earned) : null,
+                    rarity: players > 0 ? this.roundRarity((Number(achievement.NumAwarded) || 0) / players * 100) : null
+                };
+            });
+    }
+
+    parseRetroAchievementsDate(dateString) {
+        // RA dates are UTC, formatted as "YYYY-MM-DD HH:MM:SS"
+        return this.formatDate(new Date(dateString.replace(' ', 'T') + 'Z'));
+    }
+
+    saveAchievementDetails(platform, platformId, achievements) {
+        const platformDir = path.join(this.achievementsDir, platform);
+        const detailPath = path.join(platformDir, `${platformId}.json`);
+        const content = JSON.stringify({ platform, platformId: String(platformId), achievements }, null, 2);
+
+        // Only touch the file when something changed, so unchanged runs leave git clean
+        if (fs.existsSync(detailPath) && fs.readFileSync(detailPath, 'utf8') === content) {
+            return false;
+        }
+        if (this.options.dryRun) return true;
+
+        fs.mkdirSync(platformDir, { recursive: true });
+        fs.writeFileSync(detailPath, content);
+        return true;
+    }
+
+    async fetchGameName(game, platform) {
+        const definition = PlatformRegistry.get(platform);
+        if (!definition || !definition.fetchName) {
+            console.log(`    ⚠️  No name fetcher for platform: ${platform}`);
+            return null;
+        }
+        return await definition.fetchName(this, game);
+    }
+
+    async fetchSteamGameName(appId) {
+        const result = await this.fetchJson(`https://store.steampowered.com/api/appdetails?appids=${appId}`, CACHE_TTL.metadata);
+        if (result && result[appId] && result[appId].success && result[appId].data) {
+            return result[appId].data.name;
+        }
+        console.log(`    ⚠️  Steam API returned no data for ${appId}`);
+        return null;
+    }
+
     async fetchRetroAchievementsGameName(gameId) {
         const gameData = await this.fetchRetroAchievementsGameData(gameId);
         if (gameData && gameData.Title) {
@@ -355,34 +1124,7 @@ class CoverFetcher {
             return null;
         }
 
-        return new Promise((resolve) => {
-            const url = `${RA_API_BASE}?i=${gameId}&y=${RA_API_KEY}`;
-
-            const req = https.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' } }, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(data);
-                        resolve(result);
-                    } catch (e) {
-                        console.log(`    ⚠️  Parse error: ${e.message}`);
-                        resolve(null);
-                    }
-                });
-            });
-            
-            req.on('error', (e) => {
-                console.log(`    ⚠️  Request error: ${e.message}`);
-                resolve(null);
-            });
-            
-            req.setTimeout(15000, () => {
-                console.log(`    ⚠️  Request timeout for ${gameId}`);
-                req.destroy();
-                resolve(null);
-            });
-        });
+        return await this.fetchJson(`${RA_API_BASE}?i=${gameId}&y=${RA_API_KEY}`, CACHE_TTL.metadata);
     }
 
     async fetchRAConsoles() {
@@ -392,39 +1134,30 @@ class CoverFetcher {
         }
 
         console.log('🎮 Fetching RetroAchievements console list...');
-        
-        return new Promise((resolve) => {
-            const url = `${RA_CONSOLES_API}?y=${RA_API_KEY}`;
-
-            const req = https.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' } }, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(data);
-                        if (Array.isArray(result)) {
-                            this.raConsoles = result;
-                            console.log(`✅ Loaded ${result.length} consoles\n`);
-                        }
-                        resolve();
-                    } catch (e) {
-                        console.log(`⚠️  Parse error: ${e.message}\n`);
-                        resolve();
-                    }
-                });
-            });
-            
-            req.on('error', (e) => {
-                console.log(`⚠️  Request error: ${e.message}\n`);
-                resolve();
-            });
-            
-            req.setTimeout(15000, () => {
-                console.log('⚠️  Console fetch timeout\n');
-                req.destroy();
-                resolve();
-            });
-        });
+        const result = await this.fetchJson(`${RA_CONSOLES_API}?y=${RA_API_KEY}`, CACHE_TTL.metadata);
+        if (Array.isArray(result)) {
+            this.raConsoles = result;
+            console.log(`✅ Loaded ${result.length} consoles\n`);
+        } else {
+            console.log('⚠️  Could not fetch the console list\n');
+        }
+    }
+
+    loadExport(platform) {
+        if (!(platform in this.exports)) {
+            const file = this.options.exportFiles[platform];
+            let data = null;
+            if (file) {
+                try {
+                    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    console.log(`  📂 Loaded ${platform} export: ${file}`);
+                } catch (error) {
+                    console.log(`  ⚠️  Could not read ${platform} export ${file}: ${error.message}`);
+                }
+            }
+            this.exports[platform] = data;
+        }
+        return this.exports[platform];
     }
 
     getConsoleName(consoleId) {
@@ -434,37 +1167,30 @@ class CoverFetcher {
     }
 
     async fetchGameCover(game, platform) {
-        switch (platform) {
-            case 'steam':
-                return await this.fetchSteamCover(game, platform);
-            case 'gog':
-                console.log(`    📝 GOG - manual cover needed`);
-                return false;
-            case 'retroachievements':
-                return await this.fetchRetroAchievementsCover(game, platform);
-            default:
-                console.log(`    ❓ Unknown platform: ${platform}`);
-                return false;
+        const definition = PlatformRegistry.get(platform);
+        if (!definition || !definition.fetchCover) {
+            console.log(`    ❓ No cover fetcher for platform: ${platform}`);
+            return false;
         }
+        return await definition.fetchCover(this, game);
     }
 
     async fetchRetroAchievementsCover(game, platform) {
         try {
             const gameId = game.platformId;
-            console.log(`  🔍 Fetching icon from RetroAchievements API...`);
+            const { style } = PlatformRegistry.coverStyle(PlatformRegistry.get(platform), game);
+            console.log(`  🔍 Fetching ${style} from RetroAchievements API...`);
             
             const gameData = await this.fetchRetroAchievementsGameData(gameId);
+            const cover = this.pickRetroAchievementsImage(gameData, style);
             
-            if (gameData && gameData.ImageIcon) {
-                // Build the full image URL using ImageIcon (set/subset icon)
-                const coverUrl = `${RA_IMAGE_BASE}${gameData.ImageIcon}`;
-                console.log(`  🖼️  Found icon: ${coverUrl}`);
-                
+            if (cover) {
                 // Determine file extension from URL
-                const ext = coverUrl.match(/\.(png|jpg|jpeg|gif|webp)$/i)?.[1] || 'png';
-                const localPath = await this.downloadImage(coverUrl, platform, game.platformId, `cover.${ext}`);
+                const ext = cover.url.match(/\.(png|jpg|jpeg|gif|webp)$/i)?.[1] || 'png';
+                const localPath = await this.downloadImage(cover.url, platform, this.coverFileId(platform, gameId, cover.style), `cover.${ext}`);
                 if (localPath) {
                     game.coverImage = localPath;
+                    if (cover.style !== style) game.coverStyle = cover.style;
                     console.log(`  💾 Downloaded to: ${localPath}`);
                     return true;
                 }
@@ -504,19 +1230,29 @@ class CoverFetcher {
                 'https://steamcdn-a.akamaihd.net/steam/apps/'
             ];
 
-            for (const format of STEAM_IMAGE_FORMATS) {
-                for (const cdnBase of cdnEndpoints) {
-                    const imageUrl = `${cdnBase}${appId}/${format}`;
-                    const cdnName = cdnBase.includes('akamai') ? 'akamai' : 
-                                    cdnBase.includes('cloudflare') ? 'cloudflare' : 'legacy';
-                    console.log(`  🖼️  Testing: ${format} (${cdnName})`);
+            // Styles other than the header fall back to it, and the game keeps the header style
+            const { style } = PlatformRegistry.coverStyle(PlatformRegistry.get(platform), game);
+            const useCover = (localPath, coverStyle) => {
+                game.coverImage = localPath;
+                if (coverStyle !== style) {
+                    game.coverStyle = coverStyle;
+                    console.log(`  ↩️  No ${style} image, using the ${coverStyle}`);
+                }
+                console.log(`  💾 Downloaded to: ${localPath}`);
+                return true;
+            };
 
-                    if (await this.checkImageExists(imageUrl)) {
-                        const localPath = await this.downloadImage(imageUrl, platform, game.platformId, format);
-                        if (localPath) {
-                            game.coverImage = localPath;
-                            console.log(`  💾 Downloaded to: ${localPath}`);
-                            return true;
+            for (const coverStyle of style === 'header' ? ['header'] : [style, 'header']) {
+                for (const format of STEAM_IMAGE_FORMATS[coverStyle] || []) {
+                    for (const cdnBase of cdnEndpoints) {
+                        const imageUrl = `${cdnBase}${appId}/${format}`;
+                        const cdnName = cdnBase.includes('akamai') ? 'akamai' : 
+                                        cdnBase.includes('cloudflare') ? 'cloudflare' : 'legacy';
+                        console.log(`  🖼️  Testing: ${format} (${cdnName})`);
+
+                        if (await this.checkImageExists(imageUrl)) {
+                            const localPath = await this.downloadImage(imageUrl, platform, this.coverFileId(platform, game.platformId, coverStyle), format);
+                            if (localPath) return useCover(localPath, coverStyle);
                         }
                     }
                 }
@@ -528,18 +1264,15 @@ class CoverFetcher {
             if (fastlyUrl) {
                 console.log(`  🖼️  Testing: header.jpg (fastly)`);
                 const localPath = await this.downloadImage(fastlyUrl, platform, game.platformId, 'header.jpg');
-                if (localPath) {
-                    game.coverImage = localPath;
-                    console.log(`  💾 Downloaded to: ${localPath}`);
-                    return true;
-                }
+                if (localPath) return useCover(localPath, 'header');
             }
 
-            // Last resort: try to get any screenshot from the game
+            // Last resort: try to get any screenshot from the game (wide, like the header)
             console.log(`  🔄 Trying screenshots as last resort...`);
             const screenshotPath = await this.tryScreenshotFallback(appId, game, platform);
             if (screenshotPath) {
                 game.coverImage = screenshotPath;
+                if (style !== 'header') game.coverStyle = 'header';
                 return true;
             }
 
@@ -554,28 +1287,10 @@ class CoverFetcher {
 
     async discoverFastlyUrl(appId) {
         // Fetch the Steam store page to find the Fastly CDN hash
-        return new Promise((resolve) => {
-            const url = `https://store.steampowered.com/app/${appId}/`;
-            
-            https.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' } }, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        // Look for Fastly CDN URLs in the page
-                        const fastlyPattern = /https:\/\/shared\.fastly\.steamstatic\.com\/store_item_assets\/steam\/apps\/\d+\/([a-f0-9]+)\/header\.jpg/;
-                        const match = data.match(fastlyPattern);
-                        if (match) {
-                            resolve(`https://shared.fastly.steamstatic.com/store_item_assets/steam/apps/${appId}/${match[1]}/header.jpg`);
-                        } else {
-                            resolve(null);
-                        }
-                    } catch (e) {
-                        resolve(null);
-                    }
-                });
-            }).on('error', () => resolve(null));
-        });
+        const page = await this.fetchText(`https://store.steampowered.com/app/${appId}/`, CACHE_TTL.metadata);
+        const fastlyPattern = /https:\/\/shared\.fastly\.steamstatic\.com\/store_item_assets\/steam\/apps\/\d+\/([a-f0-9]+)\/header\.jpg/;
+        const match = page && page.match(fastlyPattern);
+        return match ? `https://shared.fastly.steamstatic.com/store_item_assets/steam/apps/${appId}/${match[1]}/header.jpg` : null;
     }
 
     extractSteamAppId(link) {
@@ -597,64 +1312,26 @@ class CoverFetcher {
     }
 
     async searchSteamStore(gameName) {
-        return new Promise((resolve) => {
-            const searchUrl = `${STEAM_SEARCH_API}?term=${encodeURIComponent(gameName)}&l=english&cc=US`;
-
-            https.get(searchUrl, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(data);
-                        if (result.items && result.items.length > 0) {
-                            // Find exact match or use first result
-                            const exactMatch = result.items.find(item => 
-                                item.name && item.name.toLowerCase() === gameName.toLowerCase()
-                            );
-                            resolve(exactMatch ? exactMatch.id : result.items[0].id);
-                        } else {
-                            resolve(null);
-                        }
-                    } catch (e) {
-                        console.log(`    ⚠️  Parse error: ${e.message}`);
-                        resolve(null);
-                    }
-                });
-            }).on('error', (e) => {
-                console.log(`    ⚠️  Request error: ${e.message}`);
-                resolve(null);
-            });
-        });
+        const result = await this.fetchJson(
+            `${STEAM_SEARCH_API}?term=${encodeURIComponent(gameName)}&l=english&cc=US`,
+            CACHE_TTL.metadata
+        );
+        if (!result || !result.items || result.items.length === 0) return null;
+
+        // Find exact match or use first result
+        const exactMatch = result.items.find(item =>
+            item.name && item.name.toLowerCase() === gameName.toLowerCase()
+        );
+        return exactMatch ? exactMatch.id : result.items[0].id;
     }
 
     async fetchGameInfo(appId) {
-        return new Promise((resolve) => {
-            const url = `https://store.steampowered.com/api/appdetails?appids=${appId}`;
-
-            https.get(url, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(data);
-                        if (result[appId] && result[appId].success) {
-                            resolve({
-                                name: result[appId].data.name,
-                                type: result[appId].data.type
-                            });
-                        } else {
-                            resolve(null);
-                        }
-                    } catch (e) {
-                        console.log(`    ⚠️  Parse error: ${e.message}`);
-                        resolve(null);
-                    }
-                });
-            }).on('error', (e) => {
-                console.log(`    ⚠️  Request error: ${e.message}`);
-                resolve(null);
-            });
-        });
+        const result = await this.fetchJson(`https://store.steampowered.com/api/appdetails?appids=${appId}`, CACHE_TTL.metadata);
+        if (!result || !result[appId] || !result[appId].success) return null;
+        return {
+            name: result[appId].data.name,
+            type: result[appId].data.type
+        };
     }
 
     generateGameId(gameName) {
@@ -665,11 +1342,8 @@ class CoverFetcher {
     }
 
     async checkImageExists(url) {
-        return new Promise((resolve) => {
-            https.get(url, { method: 'HEAD' }, (res) => {
-                resolve(res.statusCode === 200);
-            }).on('error', () => resolve(false));
-        });
+        const response = await this.http.get(url, { method: 'HEAD', ttl: CACHE_TTL.images });
+        return Boolean(response && response.status === 200);
     }
 
     async tryScreenshotFallback(appId, game, platform) {
@@ -701,48 +1375,22 @@ class CoverFetcher {
     }
 
     async downloadImage(url, platform, platformId, format) {
-        return new Promise((resolve) => {
-            const ext = path.extname(format);
-            const filename = `${platformId}${ext}`;
-            const platformDir = path.join(COVERS_DIR, platform);
-            const localPath = path.join(platformDir, filename);
-            const relativePath = `assets/covers/${platform}/${filename}`;
-
-            // Skip if already exists (unless force refresh)
-            if (fs.existsSync(localPath) && !FORCE_REFRESH) {
-                console.log(`  ♻️  Already downloaded`);
-                resolve(relativePath);
-                return;
-            }
-            
-            // Delete existing file if force refresh
-            if (fs.existsSync(localPath) && FORCE_REFRESH) {
-                fs.unlinkSync(localPath);
-            }
+        const ext = path.extname(format);
+        const filename = `${platformId}${ext}`;
+        const localPath = path.join(this.coversDir, platform, filename);
+        const relativePath = `assets/covers/${platform}/${filename}`;
 
-            const file = fs.createWriteStream(localPath);
-            
-            https.get(url, (response) => {
-                if (response.statusCode === 200) {
-                    response.pipe(file);
-                    file.on('finish', () => {
-                        file.close();
-                        resolve(relativePath);
-                    });
-                } else {
-                    file.close();
-                    fs.unlinkSync(localPath);
-                    resolve(null);
-                }
-            }).on('error', (err) => {
-                file.close();
-                if (fs.existsSync(localPath)) {
-                    fs.unlinkSync(localPath);
-                }
-                console.log(`    ⚠️  Download error: ${err.message}`);
-                resolve(null);
-            });
-        });
+        // Skip if already exists (unless force refresh, which replaces the file once the new one is downloaded)
+        if (fs.existsSync(localPath) && !this.options.force) {
+            console.log(`  ♻️  Already downloaded`);
+            return relativePath;
+        }
+        if (this.options.dryRun) {
+            console.log(`  🧪 Would download ${url} to ${relativePath}`);
+            return relativePath;
+        }
+
+        return await this.http.download(url, localPath) ? relativePath : null;
     }
 
     saveGamesData() {
@@ -750,9 +1398,15 @@ class CoverFetcher {
         
         for (const platform of Object.keys(this.platformData)) {
             if (this.updated[platform]) {
-                const dataPath = path.join(process.cwd(), 'data', `${platform}.json`);
-                fs.writeFileSync(dataPath, JSON.stringify(this.platformData[platform], null, 2));
-                console.log(`💾 Saved updated ${platform}.json`);
+                const dataFile = DashboardRender.getUserDataFile(PlatformRegistry.get(platform).dataFile, this.user);
+                if (this.options.dryRun) {
+                    console.log(`🧪 Would save updated ${dataFile}`);
+                } else {
+                    // A new team profile has no directory yet
+                    fs.mkdirSync(path.dirname(path.join(this.root, dataFile)), { recursive: true });
+                    fs.writeFileSync(path.join(this.root, dataFile), JSON.stringify(this.platformData[platform], null, 2));
+                    console.log(`💾 Saved updated ${platform}.json`);
+                }
                 anyUpdated = true;
             }
         }
@@ -762,105 +1416,160 @@ class CoverFetcher {
         }
     }
 
-    printSummary() {
-        console.log('📊 Summary');
-        console.log('==========\n');
-        
-        let total = 0;
-        let withNames = 0;
-        let withCovers = 0;
-        
+    /**
+     * Name and cover coverage of every platform, as printed by printSummary and written to --report
+     * RetroAchievements sets count as separate games
+     * @returns {{platforms: Object, total: number, withNames: number, withCovers: number}}
+     */
+    buildSummary() {
+        const summary = { platforms: {}, total: 0, withNames: 0, withCovers: 0 };
+
         for (const platform of Object.keys(this.platformData)) {
-            const games = this.platformData[platform];
-            let platformTotal = 0;
-            let platformWithNames = 0;
-            let platformWithCovers = 0;
-            
-            games.forEach(g => {
+            const stats = { total: 0, withNames: 0, withCovers: 0, updated: this.updated[platform], missingNames: [], missingCovers: [] };
+
+            this.platformData[platform].forEach(g => {
+                // For games with subsets, name is at parent level
+                if (!g.name) stats.missingNames.push(String(g.platformId));
+
                 if (g.subsets) {
                     // Count each subset as a separate entry
                     Object.entries(g.subsets).forEach(([key, subset]) => {
-                        platformTotal++;
+                        stats.total++;
                         const isBase = key === 'Base';
                         // Base uses parent name, non-base uses subset name
-                        if (isBase ? g.name : subset.name) platformWithNames++;
-                        if (subset.coverImage) platformWithCovers++;
+                        if (isBase ? g.name : subset.name) stats.withNames++;
+                        if (subset.coverImage) {
+                            stats.withCovers++;
+                        } else {
+                            const displayName = isBase ? g.name : (g.name && subset.name ? `${g.name}: ${subset.name}` : subset.name);
+                            stats.missingCovers.push(displayName || `${g.platformId}/${key}`);
+                        }
                     });
                 } else {
-                    platformTotal++;
-                    if (g.name) platformWithNames++;
-                    if (g.coverImage) platformWithCovers++;
+                    stats.total++;
+                    if (g.name) stats.withNames++;
+                    if (g.coverImage) {
+                        stats.withCovers++;
+                    } else {
+                        stats.missingCovers.push(g.name || String(g.platformId));
+                    }
                 }
             });
-            
-            total += platformTotal;
-            withNames += platformWithNames;
-            withCovers += platformWithCovers;
-            
-            if (platformTotal > 0) {
-                console.log(`${platform}:`);
-                console.log(`  Total: ${platformTotal}`);
-                console.log(`  With names: ${platformWithNames}/${platformTotal}`);
-                console.log(`  With covers: ${platformWithCovers}/${platformTotal}`);
-            }
+
+            summary.platforms[platform] = stats;
+            summary.total += stats.total;
+            summary.withNames += stats.withNames;
+            summary.withCovers += stats.withCovers;
         }
-        
-        console.log(`\nTotal games: ${total}`);
-        console.log(`With names: ${withNames}/${total}`);
-        console.log(`With covers: ${withCovers}/${total}`);
-        
-        const anyUpdated = Object.values(this.updated).some(u => u);
-        if (anyUpdated) {
+
+        return summary;
+    }
+
+    printSummary() {
+        console.log('📊 Summary');
+        console.log('==========\n');
+
+        const summary = this.buildSummary();
+        const platforms = Object.entries(summary.platforms);
+
+        platforms.filter(([, stats]) => stats.total > 0).forEach(([platform, stats]) => {
+            console.log(`${platform}:`);
+            console.log(`  Total: ${stats.total}`);
+            console.log(`  With names: ${stats.withNames}/${stats.total}`);
+            console.log(`  With covers: ${stats.withCovers}/${stats.total}`);
+        });
+
+        console.log(`\nTotal games: ${summary.total}`);
+        console.log(`With names: ${summary.withNames}/${summary.total}`);
+        console.log(`With covers: ${summary.withCovers}/${summary.total}`);
+
+        const { requests, cached, revalidated, retries, failed } = this.http.stats;
+        console.log(`\n🌐 ${requests} requests (${retries} retries, ${failed} failed), ${cached} answered from cache, ${revalidated} revalidated`);
+
+        const anyUpdated = Object.values(this.updated).some(u => u) || this.changes.length > 0;
+        if (anyUpdated && this.options.dryRun) {
+            console.log(`\n🧪 Dry run: ${this.changes.length} changes not written`);
+        } else if (anyUpdated) {
             console.log('\n✅ Game data updated successfully!');
         } else {
             console.log('\n📋 No updates needed');
         }
 
         // List games without names
-        for (const platform of Object.keys(this.platformData)) {
-            const missingNames = this.platformData[platform].filter(g => {
-                // For games with subsets, name is at parent level
-                if (g.subsets) return !g.name;
-                return !g.name;
-            });
-            if (missingNames.length > 0) {
-                console.log(`\n📝 Manual names needed for ${platform}:`);
-                missingNames.forEach(g => console.log(`  - ${g.platformId}`));
-            }
-        }
+        platforms.filter(([, stats]) => stats.missingNames.length > 0).forEach(([platform, stats]) => {
+            console.log(`\n📝 Manual names needed for ${platform}:`);
+            stats.missingNames.forEach(id => console.log(`  - ${id}`));
+        });
 
         // List games without covers
-        for (const platform of Object.keys(this.platformData)) {
-            const missingCovers = [];
-            this.platformData[platform].forEach(g => {
-                if (g.subsets) {
-                    // Check each subset for missing covers
-                    Object.entries(g.subsets).forEach(([key, subset]) => {
-                        if (!subset.coverImage) {
-                            const isBase = key === 'Base';
-                            const displayName = isBase ? g.name : (g.name && subset.name ? `${g.name}: ${subset.name}` : subset.name);
-                            missingCovers.push(displayName || `${g.platformId}/${key}`);
-                        }
-                    });
-                } else if (!g.coverImage) {
-                    missingCovers.push(g.name || g.platformId);
-                }
-            });
-            if (missingCovers.length > 0) {
-                console.log(`\n🖼️  Manual covers needed for ${platform}:`);
-                missingCovers.forEach(name => console.log(`  - ${name}`));
-            }
+        platforms.filter(([, stats]) => stats.missingCovers.length > 0).forEach(([platform, stats]) => {
+            console.log(`\n🖼️  Manual covers needed for ${platform}:`);
+            stats.missingCovers.forEach(name => console.log(`  - ${name}`));
+        });
+
+        return summary;
+    }
+
+    // --report: the summary and the changes of this run as JSON, e.g. for the workflow's step summary
+    writeReport(summary) {
+        const report = {
+            generatedAt: new Date().toISOString(),
+            dryRun: this.options.dryRun,
+            filters: { platforms: this.options.platforms, ids: this.options.ids, only: this.options.only, force: this.options.force },
+            changes: this.changes,
+            ...summary,
+            http: this.http.stats
+        };
+
+        const reportPath = path.resolve(this.options.reportPath);
+        fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n📄 Report written to ${this.options.reportPath}`);
+    }
+
+    /**
+     * GET a JSON API, through the response cache
+     * @param {string} url
+     * @param {number} [ttl] - Max age of a cached response in ms (0: always ask the server)
+     * @returns {Promise<*>} Parsed body, null on errors
+     */
+    async fetchJson(url, ttl = 0) {
+        const body = await this.fetchText(url, ttl);
+        if (body === null) return null;
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            console.log(`    ⚠️  Parse error: ${e.message}`);
+            return null;
+        }
+    }
+
+    async fetchText(url, ttl = 0) {
+        const response = await this.http.get(url, { ttl });
+        if (!response) return null;
+        if (response.status !== 200) {
+            console.log(`    ⚠️  HTTP ${response.status} for ${url.split('?')[0]}`);
+            return null;
         }
+        return response.body;
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    formatDate(date) {
+        // Data files store dates as YYYY-MM-DD
+        return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
     }
 }
 
 // Run the script
 if (require.main === module) {
-    new CoverFetcher().run();
+    const options = parseArgs(process.argv.slice(2));
+    try {
+        options.user = loadUser(process.cwd(), options.user);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    new CoverFetcher(options).run().catch(() => process.exit(1));
 }
 
 module.exports = CoverFetcher;
\ No newline at end of file
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+
+/**
+ * GOG Galaxy Importer
+ * Fills data/gog.json from a local GOG Galaxy 2.0 database (galaxy-2.0.db)
+ *
+ * Usage:
+ *   node scripts/import-gog.js                          # Use the default Galaxy database location
+ *   node scripts/import-gog.js path/to/galaxy-2.0.db    # Use a copied/exported database file
+ *   node scripts/import-gog.js path/to/db --force       # Re-download all covers
+ *   node scripts/import-gog.js path/to/db --user 12345  # Pick a Galaxy user when several are logged in
+ *
+ * Features:
+ * - Imports GOG games that have achievements: names, covers, achievement counts, unlock dates and playtime
+ * - Writes per-achievement detail files (data/achievements/gog/<id>.json), with rarity when Galaxy has it
+ * - Preserves hand-edited fields (tags, custom covers) of games already in gog.json
+ * - Reads the database with node:sqlite when available, otherwise with the sqlite3 CLI
+ *
+ * Close GOG Galaxy (or work on a copy of the file) while importing: Galaxy keeps the database locked.
+ *
+ * Tables and columns read (GALAXY_SCHEMA); the import stops when one is missing, except for the
+ * optional achievement tables:
+ *   LibraryReleases(releaseKey, userId), GamePieces(releaseKey, gamePieceTypeId, value, userId),
+ *   GamePieceTypes(id, type), GameTimes(releaseKey, minutesInGame, userId),
+ *   Achievements(id, productId, key, name, description, imageUrlUnlocked, imageUrlLocked, visibleWhileLocked[, rarity]),
+ *   UserAchievements(achievementId, unlockTime, userId)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const CoverFetcher = require('./fetch-covers');
+const PlatformRegistry = require('../js/platforms');
+
+// Default Galaxy database locations
+const DEFAULT_DB_PATHS = {
+    win32: path.join(process.env.PROGRAMDATA || 'C:\\ProgramData', 'GOG.com', 'Galaxy', 'storage', 'galaxy-2.0.db'),
+    darwin: '/Users/Shared/GOG.com/Galaxy/Storage/galaxy-2.0.db'
+};
+
+const GOG_DATA_PATH = path.join(process.cwd(), PlatformRegistry.get('gog').dataFile);
+
+// Galaxy 2.0 tables and the columns the importer reads
+const GALAXY_SCHEMA = {
+    LibraryReleases: ['releaseKey', 'userId'],
+    GamePieces: ['releaseKey', 'gamePieceTypeId', 'value', 'userId'],
+    GamePieceTypes: ['id', 'type'],
+    GameTimes: ['releaseKey', 'minutesInGame', 'userId']
+};
+const GALAXY_ACHIEVEMENT_SCHEMA = {
+    Achievements: ['id', 'productId', 'key', 'name', 'description', 'imageUrlUnlocked', 'imageUrlLocked', 'visibleWhileLocked'],
+    UserAchievements: ['achievementId', 'unlockTime', 'userId']
+};
+
+class GalaxyDatabase {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = null;
+
+        try {
+            // Built into Node 22.5+ (behind --experimental-sqlite before 22.13)
+            const { DatabaseSync } = require('node:sqlite');
+            this.db = new DatabaseSync(dbPath, { readOnly: true });
+        } catch (error) {
+            if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE' && error.code !== 'MODULE_NOT_FOUND') {
+                throw error;
+            }
+            // Fall back to the sqlite3 command line tool
+        }
+    }
+
+    /**
+     * Rows of a query
+     * @param {string} sql - With ? placeholders, none of them inside string literals
+     * @param {Array<string|number|null>} [params] - Values of the placeholders
+     * @returns {Object[]}
+     */
+    all(sql, params = []) {
+        if (this.db) {
+            return this.db.prepare(sql).all(...params);
+        }
+
+        try {
+            const output = execFileSync('sqlite3', ['-readonly', '-json', this.dbPath, this.inlineParams(sql, params)], {
+                encoding: 'utf8',
+                maxBuffer: 64 * 1024 * 1024
+            });
+            return output.trim() ? JSON.parse(output) : [];
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error('Reading the Galaxy database needs Node 22.5+ or the sqlite3 command line tool');
+            }
+            throw new Error(`sqlite3 failed: ${(error.stderr || error.message).toString().trim()}`);
+        }
+    }
+
+    // The sqlite3 CLI has no bound parameters: placeholders become SQL literals, strings with quotes doubled
+    inlineParams(sql, params) {
+        let index = 0;
+        const inlined = sql.replace(/\?/g, () => {
+            if (index >= params.length) throw new Error('Missing query parameter');
+            const value = params[index++];
+            if (value === null || value === undefined) return 'NULL';
+            if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+            return `'${String(value).replace(/'/g, "''")}'`;
+        });
+        if (index !== params.length) throw new Error('Too many query parameters');
+        return inlined;
+    }
+
+    hasTable(name) {
+        return this.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [name]).length > 0;
+    }
+
+    columns(table) {
+        return this.all('SELECT name FROM pragma_table_info(?)', [table]).map(row => row.name);
+    }
+
+    /**
+     * Columns of a schema missing from the database
+     * @param {Object<string, string[]>} schema - Columns by table
+     * @returns {string[]} 'Table' for missing tables, 'Table.column' for missing columns
+     */
+    findMissing(schema) {
+        return Object.entries(schema).flatMap(([table, columns]) => {
+            if (!this.hasTable(table)) return [table];
+            const present = this.columns(table);
+            return columns.filter(column => !present.includes(column)).map(column => `${table}.${column}`);
+        });
+    }
+
+    close() {
+        if (this.db) this.db.close();
+    }
+}
+
+class GogImporter {
+    constructor(dbPath, userId) {
+        this.dbPath = dbPath;
+        this.userId = userId;
+        this.fetcher = new CoverFetcher({ force: process.argv.includes('--force') });
+        this.stats = { added: 0, updated: 0, covers: 0 };
+    }
+
+    async run() {
+        try {
+            console.log('🎮 GOG Galaxy Importer');
+            console.log('======================\n');
+
+            if (!this.dbPath || !fs.existsSync(this.dbPath)) {
+                throw new Error(`Galaxy database not found: ${this.dbPath || '(no path given)'}`);
+            }
+            console.log(`📂 Reading ${this.dbPath}\n`);
+
+            const db = new GalaxyDatabase(this.dbPath);
+            let library;
+            try {
+                library = this.readLibrary(db);
+            } finally {
+                db.close();
+            }
+
+            const games = this.loadGogData();
+            for (const entry of library) {
+                await this.importGame(games, entry);
+            }
+
+            fs.writeFileSync(GOG_DATA_PATH, JSON.stringify(games, null, 2));
+            console.log(`\n💾 Saved gog.json (${games.length} games)`);
+            console.log(`✅ ${this.stats.added} added, ${this.stats.updated} updated, ${this.stats.covers} covers downloaded`);
+        } catch (error) {
+            console.error('❌ Fatal error:', error.message);
+            process.exit(1);
+        }
+    }
+
+    readLibrary(db) {
+        const missing = db.findMissing(GALAXY_SCHEMA);
+        if (missing.length > 0) {
+            throw new Error(`Not a GOG Galaxy 2.0 database, or an unsupported version: missing ${missing.join(', ')}`);
+        }
+
+        const userId = this.resolveUserId(db);
+        const userFilter = userId !== null ? ' AND userId = ?' : '';
+        const userParams = userId !== null ? [userId] : [];
+
+        const owned = db.all(`SELECT DISTINCT releaseKey FROM LibraryReleases WHERE releaseKey LIKE 'gog_%'${userFilter}`, userParams)
+            .map(row => row.releaseKey);
+        console.log(`📋 ${owned.length} GOG games in the Galaxy library`);
+
+        // Titles and images are stored as JSON "game pieces"
+        const pieces = {};
+        db.all(`
+            SELECT gp.releaseKey, gpt.type, gp.value
+            FROM GamePieces gp
+            JOIN GamePieceTypes gpt ON gp.gamePieceTypeId = gpt.id
+            WHERE gp.releaseKey LIKE 'gog_%' AND gpt.type IN ('title', 'originalTitle', 'originalImages')${userFilter.replace('userId', 'gp.userId')}
+        `, userParams).forEach(row => {
+            pieces[row.releaseKey] = pieces[row.releaseKey] || {};
+            try {
+                pieces[row.releaseKey][row.type] = JSON.parse(row.value);
+            } catch (e) {
+                // Ignore malformed pieces
+            }
+        });
+
+        const minutes = {};
+        db.all(`SELECT releaseKey, minutesInGame FROM GameTimes WHERE releaseKey LIKE 'gog_%'${userFilter}`, userParams)
+            .forEach(row => minutes[row.releaseKey] = row.minutesInGame);
+
+        const achievements = this.readAchievements(db, userId);
+
+        return owned.map(releaseKey => {
+            const productId = releaseKey.replace(/^gog_/, '');
+            const gamePieces = pieces[releaseKey] || {};
+            const title = (gamePieces.title && gamePieces.title.title) ||
+                (gamePieces.originalTitle && gamePieces.originalTitle.title) || null;
+            return {
+                productId,
+                title,
+                images: gamePieces.originalImages || {},
+                minutesInGame: minutes[releaseKey] || 0,
+                achievements: achievements[productId] || []
+            };
+        });
+    }
+
+    // Galaxy user ids are numbers
+    resolveUserId(db) {
+        if (this.userId) {
+            if (!/^\d+$/.test(this.userId)) throw new Error(`--user takes a Galaxy user id (a number), not "${this.userId}"`);
+            return Number(this.userId);
+        }
+
+        const users = db.all('SELECT DISTINCT userId FROM LibraryReleases').map(row => row.userId);
+        if (users.length > 1) {
+            console.log(`⚠️  ${users.length} Galaxy users found, importing ${users[0]} (use --user to pick another)`);
+        }
+        return users.length > 0 ? users[0] : null;
+    }
+
+    readAchievements(db, userId) {
+        if (!db.hasTable('Achievements') || !db.hasTable('UserAchievements')) {
+            console.log('⚠️  No achievement tables in this database, counts will be left empty');
+            return {};
+        }
+        const missing = db.findMissing(GALAXY_ACHIEVEMENT_SCHEMA);
+        if (missing.length > 0) {
+            throw new Error(`Unsupported Galaxy achievement tables: missing ${missing.join(', ')}`);
+        }
+
+        const userJoin = userId !== null ? ' AND ua.userId = ?' : '';
+        // Global unlock percentage, present in recent Galaxy versions
+        const hasRarity = db.columns('Achievements').includes('rarity');
+        const rows = db.all(`
+            SELECT a.productId, a.key, a.name, a.description, a.imageUrlUnlocked, a.imageUrlLocked,
+                   a.visibleWhileLocked, ua.unlockTime${hasRarity ? ', a.rarity' : ''}
+            FROM Achievements a
+            LEFT JOIN UserAchievements ua ON ua.achievementId = a.id${userJoin}
+            ORDER BY a.productId, a.id
+        `, userId !== null ? [userId] : []);
+
+        const byProduct = {};
+        rows.forEach(row => {
+            const productId = String(row.productId);
+            byProduct[productId] = byProduct[productId] || [];
+            const unlockedAt = this.parseUnlockTime(row.unlockTime);
+            byProduct[productId].push({
+                id: row.key,
+                title: row.name,
+                description: row.description || '',
+                hidden: row.visibleWhileLocked === 0,
+                icon: row.imageUrlUnlocked,
+                iconLocked: row.imageUrlLocked,
+                unlocked: Boolean(row.unlockTime),
+                unlockedAt,
+                rarity: row.rarity !== undefined && row.rarity !== null ? this.fetcher.roundRarity(Number(row.rarity)) : null
+            });
+        });
+        return byProduct;
+    }
+
+    parseUnlockTime(value) {
+        if (!value) return null;
+        // Galaxy stores either epoch seconds or "YYYY-MM-DD HH:MM:SS" (UTC)
+        const date = typeof value === 'number' || /^\d+$/.test(value)
+            ? new Date(Number(value) * 1000)
+            : new Date(String(value).replace(' ', 'T') + (/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? '' : 'Z'));
+        return this.fetcher.formatDate(date);
+    }
+
+    loadGogData() {
+        if (!fs.existsSync(GOG_DATA_PATH)) return [];
+        return JSON.parse(fs.readFileSync(GOG_DATA_PATH, 'utf8'));
+    }
+
+    async importGame(games, entry) {
+        const { productId, title, achievements } = entry;
+
+        // Only games with achievements belong on the dashboard
+        if (achievements.length === 0) return;
+
+        const unlocked = achievements.filter(a => a.unlocked);
+        const lastAchievement = unlocked.map(a => a.unlockedAt).filter(Boolean).sort().pop() || null;
+        const progress = {
+            totalAchievements: achievements.length,
+            unlockedAchievements: unlocked.length,
+            lastAchievement,
+            playedTime: Math.round(entry.minutesInGame / 6) / 10
+        };
+
+        let game = games.find(g => String(g.platformId) === productId);
+        if (!game) {
+            game = { name: title, platformId: productId };
+            games.push(game);
+            this.stats.added++;
+            console.log(`  ➕ ${title || productId}`);
+        } else {
+            this.stats.updated++;
+            console.log(`  🔄 ${game.name || title || productId}`);
+        }
+
+        if (!game.name && title) game.name = title;
+        if (!game.slug && game.name) game.slug = this.generateSlug(game.name);
+        Object.assign(game, progress);
+
+        await this.importCover(game, entry.images);
+        await this.fetcher.processCover('gog', game, game);
+        this.fetcher.saveAchievementDetails('gog', productId, achievements);
+    }
+
+    async importCover(game, images) {
+        if (game.coverImage && !process.argv.includes('--force')) return;
+
+        // Wide background art matches the card layout used for Steam headers
+        const coverUrl = images.background || images.verticalCover || images.squareIcon;
+        if (!coverUrl) {
+            console.log(`    ❌ No cover in the database`);
+            return;
+        }
+
+        const ext = coverUrl.match(/\.(png|jpg|jpeg|webp)(\?|$)/i)?.[1] || 'jpg';
+        const localPath = await this.fetcher.downloadImage(coverUrl, 'gog', game.platformId, `cover.${ext}`);
+        if (localPath) {
+            game.coverImage = localPath;
+            this.stats.covers++;
+            console.log(`    💾 Cover: ${localPath}`);
+        }
+    }
+
+    generateSlug(name) {
+        // GOG store slugs are lowercase words joined by underscores
+        return name
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '');
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const userIndex = args.indexOf('--user');
+    const userId = userIndex !== -1 ? args[userIndex + 1] : null;
+    const positional = args.filter((arg, i) => !arg.startsWith('-') && args[i - 1] !== '--user');
+    const dbPath = positional[0] || DEFAULT_DB_PATHS[os.platform()];
+
+    new GogImporter(dbPath, userId).run();
+}
+
+module.exports = GogImporter;
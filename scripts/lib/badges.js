@@ -0,0 +1,78 @@
+/**
+ * Badges
+ * shields.io-style SVG badges (flat style, 20px high) for scripts/build-site.js, and the same
+ * label/message/color as shields.io endpoint JSON (https://shields.io/badges/endpoint-badge)
+ */
+
+const { escapeHtml } = require('../../js/render');
+
+const LABEL_COLOR = '#555';
+const FONT = 'Verdana,Geneva,DejaVu Sans,sans-serif';
+const PADDING = 6;
+
+// Approximate advance widths of Verdana 11px, by character class
+function charWidth(char) {
+    if (/[ilIj.,:;'!|]/.test(char)) return 3.5;
+    if (char === ' ') return 3.9;
+    if (/[frt()[\]{}\-/]/.test(char)) return 4.8;
+    if (/[mwMW]/.test(char)) return 10.5;
+    if (/[A-Z]/.test(char)) return 7.6;
+    if (/[0-9]/.test(char)) return 7;
+    return 6.6;
+}
+
+function textWidth(text) {
+    return Math.round([...text].reduce((sum, char) => sum + charWidth(char), 0));
+}
+
+// White text on dark colors, dark text on light ones (#rgb or #rrggbb)
+function textColor(background) {
+    const hex = background.replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16) / 255);
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    return luminance > 0.6 ? '#333' : '#fff';
+}
+
+/**
+ * @param {Object} badge
+ * @param {string} badge.label - Left part
+ * @param {string} badge.message - Right part
+ * @param {string} badge.color - Background of the message, #rgb or #rrggbb
+ * @returns {string} SVG markup
+ */
+function createBadge({ label, message, color }) {
+    const labelWidth = textWidth(label) + PADDING * 2;
+    const messageWidth = textWidth(message) + PADDING * 2;
+    const width = labelWidth + messageWidth;
+    const title = escapeHtml(`${label}: ${message}`);
+    const text = (content, x, fill) => `
+        <text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeHtml(content)}</text>
+        <text x="${x}" y="14" fill="${fill}">${escapeHtml(content)}</text>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">
+    <title>${title}</title>
+    <linearGradient id="s" x2="0" y2="100%">
+        <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+        <stop offset="1" stop-opacity=".1"/>
+    </linearGradient>
+    <clipPath id="r">
+        <rect width="${width}" height="20" rx="3" fill="#fff"/>
+    </clipPath>
+    <g clip-path="url(#r)">
+        <rect width="${labelWidth}" height="20" fill="${LABEL_COLOR}"/>
+        <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${escapeHtml(color)}"/>
+        <rect width="${width}" height="20" fill="url(#s)"/>
+    </g>
+    <g text-anchor="middle" font-family="${FONT}" font-size="11">${text(label, labelWidth / 2, '#fff')}${text(message, labelWidth + messageWidth / 2, textColor(color))}
+    </g>
+</svg>
+`;
+}
+
+// The badge for shields.io's endpoint badge (other styles, logos)
+function createBadgeEndpoint({ label, message, color }) {
+    return JSON.stringify({ schemaVersion: 1, label, message, color }, null, 2) + '\n';
+}
+
+module.exports = { createBadge, createBadgeEndpoint };
@@ -0,0 +1,131 @@
+/**
+ * Cover Images
+ * Resizes downloaded covers to the widths cards and game pages show them at, as WebP and JPEG
+ * (assets/covers/<platform>/<id>-<width>.webp|jpg next to the original), and computes the dominant
+ * color and a tiny blurred placeholder shown while a cover loads.
+ *
+ * Uses sharp (npm install sharp), loaded on first use; without it covers are kept as downloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCoverVariantPath } = require('../../js/render');
+
+// Output sizes by cover shape: 1x and 2x of the card, cropped to the card's aspect ratio
+const COVER_SHAPES = {
+    // Steam header ratio (460x215); taller images such as screenshots keep their top
+    wide: { widths: [230, 460], aspect: 215 / 460, fit: 'cover' },
+    // Icons are shown whole, letterboxed on the card background
+    square: { widths: [96, 192], aspect: 1, fit: 'contain' },
+    // Steam library capsules (600x900); box art of other proportions is letterboxed
+    portrait: { widths: [150, 300], aspect: 3 / 2, fit: 'contain' }
+};
+const FORMATS = ['webp', 'jpg'];
+const PLACEHOLDER_WIDTH = 16;
+const BACKGROUND = '#1b2838'; // --secondary-bg, behind letterboxed and transparent covers in JPEGs
+
+let sharpModule;
+
+function loadSharp() {
+    if (sharpModule === undefined) {
+        try {
+            sharpModule = require('sharp');
+        } catch (error) {
+            sharpModule = null;
+        }
+    }
+    return sharpModule;
+}
+
+class CoverImageProcessor {
+    /**
+     * @param {string} root - Site root the cover paths are relative to
+     */
+    constructor(root) {
+        this.root = root;
+    }
+
+    get available() {
+        return loadSharp() !== null;
+    }
+
+    // Variant paths of a cover, relative to the root
+    variantPaths(coverImage, coverSizes) {
+        return (coverSizes || []).flatMap(width => FORMATS.map(format => getCoverVariantPath(coverImage, width, format)));
+    }
+
+    /**
+     * Whether every variant listed in coverSizes exists
+     * @param {Object} entry - Game or subset with coverImage and coverSizes
+     */
+    hasVariants(entry) {
+        if (!Array.isArray(entry.coverSizes) || entry.coverSizes.length === 0) return false;
+        return this.variantPaths(entry.coverImage, entry.coverSizes).every(variant => fs.existsSync(path.join(this.root, variant)));
+    }
+
+    // Delete a cover and its variants
+    remove(coverImage, coverSizes) {
+        [coverImage, ...this.variantPaths(coverImage, coverSizes)].forEach(file => {
+            fs.rmSync(path.join(this.root, file), { force: true });
+        });
+    }
+
+    /**
+     * Write the variants of a local cover
+     * Widths above the original's are skipped (at least the smallest is always written)
+     * @param {string} coverImage - Cover path relative to the root
+     * @param {string} shape - Cover shape ('wide', 'square' or 'portrait')
+     * @returns {Promise<{coverSizes: number[], coverPlaceholder: string, coverColor: string}>}
+     */
+    async process(coverImage, shape) {
+        const sharp = loadSharp();
+        const { widths, aspect, fit } = COVER_SHAPES[shape] || COVER_SHAPES.wide;
+        const source = fs.readFileSync(path.join(this.root, coverImage));
+        const image = () => sharp(source, { failOn: 'none' }).rotate();
+        const resize = width => ({
+            width,
+            height: Math.round(width * aspect),
+            fit,
+            position: 'top',
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+        });
+
+        const metadata = await image().metadata();
+        const coverSizes = widths.filter((width, i) => i === 0 || width <= metadata.width);
+
+        for (const width of coverSizes) {
+            const resized = await image().resize({ ...resize(width), withoutEnlargement: true }).png().toBuffer();
+            await CoverImageProcessor.write(
+                path.join(this.root, getCoverVariantPath(coverImage, width, 'webp')),
+                sharp(resized).webp({ quality: 80 })
+            );
+            await CoverImageProcessor.write(
+                path.join(this.root, getCoverVariantPath(coverImage, width, 'jpg')),
+                sharp(resized).flatten({ background: BACKGROUND }).jpeg({ quality: 82, mozjpeg: true })
+            );
+        }
+
+        const placeholder = await image()
+            .resize(resize(PLACEHOLDER_WIDTH))
+            .flatten({ background: BACKGROUND })
+            .blur()
+            .webp({ quality: 40 })
+            .toBuffer();
+        const { dominant } = await image().stats();
+
+        return {
+            coverSizes,
+            coverPlaceholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+            coverColor: `#${[dominant.r, dominant.g, dominant.b].map(c => c.toString(16).padStart(2, '0')).join('')}`
+        };
+    }
+
+    // Through a temporary file, so an interrupted run leaves no truncated variant
+    static async write(filePath, pipeline) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await pipeline.toFile(tempPath);
+        fs.renameSync(tempPath, filePath);
+    }
+}
+
+module.exports = { CoverImageProcessor, COVER_SHAPES };
@@ -0,0 +1,163 @@
+/**
+ * Platform Data Store
+ * Reads and edits the games of the platform data files (data/<platform>.json) for the write API of server.js
+ *
+ * Every write checks the edited entry with the validator (schema and data checks of scripts/validate-data.js),
+ * then replaces the file atomically: the new content goes to a temporary file that is renamed over the data file.
+ * Methods are synchronous, so a read-modify-write cannot interleave with another request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PlatformRegistry = require('../../js/platforms');
+const { DataValidator } = require('../validate-data');
+
+PlatformRegistry.loadAll();
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Error with the HTTP status the API answers with
+class DataStoreError extends Error {
+    constructor(status, message, details = []) {
+        super(message);
+        this.name = 'DataStoreError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class DataStore {
+    constructor(root = ROOT) {
+        this.root = root;
+        this.validator = new DataValidator([], { root });
+    }
+
+    definition(platform) {
+        const definition = PlatformRegistry.get(platform);
+        if (!definition) {
+            throw new DataStoreError(404, `Unknown platform: ${platform}`);
+        }
+        return definition;
+    }
+
+    read(platform) {
+        const dataPath = path.join(this.root, this.definition(platform).dataFile);
+        if (!fs.existsSync(dataPath)) return [];
+
+        const games = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+        if (!Array.isArray(games)) {
+            throw new DataStoreError(500, `${this.definition(platform).dataFile} is not an array`);
+        }
+        return games;
+    }
+
+    list(platform) {
+        return this.read(platform);
+    }
+
+    get(platform, platformId) {
+        const games = this.read(platform);
+        return games[this.indexOf(games, platform, platformId)];
+    }
+
+    create(platform, game) {
+        const games = this.read(platform);
+        if (!game || typeof game !== 'object' || Array.isArray(game)) {
+            throw new DataStoreError(400, 'A game must be a JSON object');
+        }
+        if (games.some(other => String(other.platformId) === String(game.platformId))) {
+            throw new DataStoreError(409, `${platform} game ${game.platformId} already exists`);
+        }
+
+        games.push(game);
+        return this.write(platform, games, games.length - 1);
+    }
+
+    // Replace a game; a new platformId renames it
+    update(platform, platformId, game) {
+        const games = this.read(platform);
+        const index = this.indexOf(games, platform, platformId);
+        if (!game || typeof game !== 'object' || Array.isArray(game)) {
+            throw new DataStoreError(400, 'A game must be a JSON object');
+        }
+        if (games.some((other, i) => i !== index && String(other.platformId) === String(game.platformId))) {
+            throw new DataStoreError(409, `${platform} game ${game.platformId} already exists`);
+        }
+
+        games[index] = game;
+        return this.write(platform, games, index);
+    }
+
+    remove(platform, platformId) {
+        const games = this.read(platform);
+        const [removed] = games.splice(this.indexOf(games, platform, platformId), 1);
+        this.write(platform, games, null);
+        return removed;
+    }
+
+    // Add or replace one set of a RetroAchievements game ('Base' or a subset game ID)
+    setSubset(platform, platformId, key, subset) {
+        const games = this.read(platform);
+        const index = this.indexOf(games, platform, platformId);
+        if (!this.definition(platform).subsets) {
+            throw new DataStoreError(400, `${platform} games have no subsets`);
+        }
+
+        games[index] = { ...games[index], subsets: { ...games[index].subsets, [key]: subset } };
+        return this.write(platform, games, index);
+    }
+
+    removeSubset(platform, platformId, key) {
+        const games = this.read(platform);
+        const index = this.indexOf(games, platform, platformId);
+        const subsets = { ...games[index].subsets };
+        if (!(key in subsets)) {
+            throw new DataStoreError(404, `${platform} game ${platformId} has no set ${key}`);
+        }
+
+        delete subsets[key];
+        games[index] = { ...games[index], subsets };
+        return this.write(platform, games, index);
+    }
+
+    indexOf(games, platform, platformId) {
+        const index = games.findIndex(game => String(game.platformId) === String(platformId));
+        if (index === -1) {
+            throw new DataStoreError(404, `No ${platform} game ${platformId}`);
+        }
+        return index;
+    }
+
+    /**
+     * Validate and save a platform file
+     * Only problems of the edited entry block the write, so older mistakes elsewhere in the file don't lock it
+     * @param {string} platform - Platform id
+     * @param {Array} games - New content of the file
+     * @param {?number} index - Edited entry, null when one was removed
+     * @returns {{game: ?Object, warnings: Array<string>}} The saved entry and its warnings
+     */
+    write(platform, games, index) {
+        const definition = this.definition(platform);
+        const prefix = index === null ? null : `/${index}`;
+        const problems = this.validator.checkData(definition, games)
+            .filter(problem => prefix !== null && (problem.pointer === prefix || problem.pointer.startsWith(`${prefix}/`)))
+            .map(problem => ({ ...problem, message: `${problem.pointer.slice(prefix.length) || '/'}: ${problem.message}` }));
+
+        const errors = problems.filter(problem => problem.level === 'error').map(problem => problem.message);
+        if (errors.length > 0) {
+            throw new DataStoreError(422, 'Invalid game', errors);
+        }
+
+        const dataPath = path.join(this.root, definition.dataFile);
+        const tempPath = `${dataPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(games, null, 2));
+        fs.renameSync(tempPath, dataPath);
+
+        return {
+            game: index === null ? null : games[index],
+            warnings: problems.filter(problem => problem.level === 'warning').map(problem => problem.message)
+        };
+    }
+}
+
+module.exports = { DataStore, DataStoreError };
@@ -0,0 +1,99 @@
+/**
+ * Feeds
+ * The same entries as an Atom feed (RFC 4287) and a JSON Feed (https://jsonfeed.org/version/1.1),
+ * for scripts/build-site.js
+ */
+
+const { escapeHtml } = require('../../js/render');
+
+/**
+ * @typedef {Object} FeedItem
+ * @property {string} id - Stable, unique URI of the entry
+ * @property {string} title - Plain text
+ * @property {string} url - Page of the entry
+ * @property {?string} externalUrl - Related page elsewhere
+ * @property {string} date - Day of the entry (YYYY-MM-DD)
+ * @property {?string} image - Absolute image URL
+ * @property {string} summary - Plain text
+ * @property {string} html - Content markup
+ * @property {string[]} tags - Categories
+ */
+
+/**
+ * @typedef {Object} Feed
+ * @property {string} title - Plain text
+ * @property {string} description - Plain text
+ * @property {string} author - Name of the author
+ * @property {string} homeUrl - Site the feed belongs to
+ * @property {string} atomUrl - Address of the Atom feed
+ * @property {string} jsonUrl - Address of the JSON Feed
+ * @property {FeedItem[]} items - Newest first
+ */
+
+// Days as RFC 3339 timestamps, at midnight UTC
+function toTimestamp(date) {
+    return `${date}T00:00:00Z`;
+}
+
+// Newest entry, or now for an empty feed
+function getUpdated(feed) {
+    return feed.items.length > 0 ? toTimestamp(feed.items[0].date) : new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * @param {Feed} feed
+ * @returns {string} Atom XML
+ */
+function createAtomFeed(feed) {
+    const entries = feed.items.map(item => [
+        `<id>${escapeHtml(item.id)}</id>`,
+        `<title>${escapeHtml(item.title)}</title>`,
+        `<link rel="alternate" type="text/html" href="${escapeHtml(item.url)}"/>`,
+        item.externalUrl ? `<link rel="related" type="text/html" href="${escapeHtml(item.externalUrl)}"/>` : null,
+        `<published>${toTimestamp(item.date)}</published>`,
+        `<updated>${toTimestamp(item.date)}</updated>`,
+        ...item.tags.map(tag => `<category term="${escapeHtml(tag)}"/>`),
+        `<summary>${escapeHtml(item.summary)}</summary>`,
+        `<content type="html">${escapeHtml(item.html)}</content>`
+    ].filter(Boolean).map(line => `\n        ${line}`).join('')).map(entry => `\n    <entry>${entry}\n    </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <id>${escapeHtml(feed.homeUrl)}</id>
+    <title>${escapeHtml(feed.title)}</title>
+    <subtitle>${escapeHtml(feed.description)}</subtitle>
+    <link rel="self" type="application/atom+xml" href="${escapeHtml(feed.atomUrl)}"/>
+    <link rel="alternate" type="text/html" href="${escapeHtml(feed.homeUrl)}"/>
+    <updated>${getUpdated(feed)}</updated>
+    <author><name>${escapeHtml(feed.author)}</name></author>${entries}
+</feed>
+`;
+}
+
+/**
+ * @param {Feed} feed
+ * @returns {string} JSON Feed
+ */
+function createJsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.jsonUrl,
+        authors: [{ name: feed.author }],
+        items: feed.items.map(item => ({
+            id: item.id,
+            url: item.url,
+            external_url: item.externalUrl || undefined,
+            title: item.title,
+            summary: item.summary,
+            content_html: item.html,
+            image: item.image || undefined,
+            date_published: toTimestamp(item.date),
+            tags: item.tags
+        }))
+    }, null, 2) + '\n';
+}
+
+module.exports = { createAtomFeed, createJsonFeed };
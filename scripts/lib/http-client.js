@@ -0,0 +1,276 @@
+/**
+ * HTTP Client
+ * Requests of scripts/fetch-covers.js, with:
+ * - An on-disk response cache (.cache/http/) with a TTL per request; stale entries are revalidated
+ *   with If-None-Match/If-Modified-Since and served when the network fails
+ * - A queue limiting concurrent requests, with a minimum interval between requests to the same host
+ * - Retries with exponential backoff on network errors, timeouts, 429 and 5xx (Retry-After is honored)
+ * - Identical requests in flight at the same time share one response
+ *
+ * API keys in query strings (key=, y=) are masked in logs and cache files.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const USER_AGENT = 'Mozilla/5.0';
+const MAX_BACKOFF_MS = 30000;
+
+class HttpClient {
+    /**
+     * @param {Object} [options]
+     * @param {?string} [options.cacheDir] - Response cache directory, null to disable the cache
+     * @param {boolean} [options.readCache] - Serve fresh cache entries (false still stores responses)
+     * @param {number} [options.concurrency] - Requests in flight at once
+     * @param {Object<string, number>} [options.hostIntervals] - Minimum ms between requests, by host
+     * @param {number} [options.defaultInterval] - Minimum ms between requests to other hosts
+     * @param {number} [options.retries] - Retries after the first attempt
+     * @param {number} [options.timeout] - Request timeout in ms
+     */
+    constructor({
+        cacheDir = null,
+        readCache = true,
+        concurrency = 4,
+        hostIntervals = {},
+        defaultInterval = 0,
+        retries = 3,
+        timeout = 15000
+    } = {}) {
+        this.cacheDir = cacheDir;
+        this.readCache = readCache;
+        this.concurrency = Math.max(1, concurrency);
+        this.hostIntervals = hostIntervals;
+        this.defaultInterval = defaultInterval;
+        this.retries = retries;
+        this.timeout = timeout;
+
+        this.active = 0;
+        this.waiting = [];
+        this.hosts = new Map(); // Host -> time its next request may start
+        this.inflight = new Map();
+        this.stats = { requests: 0, cached: 0, revalidated: 0, retries: 0, failed: 0 };
+    }
+
+    /**
+     * GET (or HEAD) a URL, from the cache when its entry is younger than ttl
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Max age of a cached response in ms (0 always asks the server, Infinity never does once cached)
+     * @param {string} [options.method] - 'GET' or 'HEAD'
+     * @returns {Promise<?{status: number, headers: Object, body: string}>} Response, null when the request failed
+     */
+    async get(url, { ttl = 0, method = 'GET' } = {}) {
+        const key = this.cacheKey(method, url);
+        if (this.inflight.has(key)) return this.inflight.get(key);
+
+        const cached = this.readEntry(key);
+        if (cached && this.readCache && Date.now() - cached.storedAt < ttl) {
+            this.stats.cached++;
+            return cached;
+        }
+
+        const promise = this.revalidate(url, method, key, cached).finally(() => this.inflight.delete(key));
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    async revalidate(url, method, key, cached) {
+        const headers = {};
+        if (cached && cached.headers.etag) headers['If-None-Match'] = cached.headers.etag;
+        if (cached && cached.headers['last-modified']) headers['If-Modified-Since'] = cached.headers['last-modified'];
+
+        const response = await this.send(url, { method, headers });
+        if (!response) {
+            if (cached) {
+                console.log(`    ♻️  Using cached response for ${HttpClient.redact(url)}`);
+                return cached;
+            }
+            return null;
+        }
+
+        if (response.status === 304 && cached) {
+            this.stats.revalidated++;
+            const entry = { ...cached, storedAt: Date.now() };
+            this.writeEntry(key, entry);
+            return entry;
+        }
+
+        const entry = {
+            url: HttpClient.redact(url),
+            method,
+            status: response.status,
+            headers: HttpClient.pickHeaders(response.headers),
+            storedAt: Date.now(),
+            body: response.body.toString('utf8')
+        };
+        // Bad keys and rate limits say nothing about the resource
+        if (![401, 403, 429].includes(entry.status) && entry.status < 500) {
+            this.writeEntry(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Download a URL to a file (not cached: the file is the cache)
+     * The body goes to a temporary file first, so failed downloads leave nothing behind
+     * @returns {Promise<boolean>} Whether the file was written
+     */
+    async download(url, filePath) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const response = await this.send(url, { file: tempPath });
+        if (response && response.status === 200) {
+            fs.renameSync(tempPath, filePath);
+            return true;
+        }
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        if (response) {
+            console.log(`    ⚠️  HTTP ${response.status} for ${HttpClient.redact(url)}`);
+        }
+        return false;
+    }
+
+    /**
+     * Send a request through the queue, retrying transient failures
+     * @returns {Promise<?{status: number, headers: Object, body: Buffer}>} Last response, null after network failures
+     */
+    async send(url, { method = 'GET', headers = {}, file = null } = {}) {
+        const host = new URL(url).host;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(host);
+            let response = null;
+            let error = null;
+            try {
+                this.stats.requests++;
+                response = await this.attempt(url, method, headers, file);
+            } catch (e) {
+                error = e;
+            } finally {
+                this.release();
+            }
+
+            const retryable = error || response.status === 429 || response.status >= 500;
+            if (!retryable) return response;
+
+            const reason = error ? error.message : `HTTP ${response.status}`;
+            if (attempt >= this.retries) {
+                this.stats.failed++;
+                console.log(`    ⚠️  Request failed (${reason}) for ${HttpClient.redact(url)}`);
+                return error ? null : response;
+            }
+
+            const wait = this.backoff(attempt, response);
+            // Rate limited: the whole host waits, not only this request
+            if (response && response.status === 429) this.deferHost(host, wait);
+            this.stats.retries++;
+            console.log(`    🔁 ${reason} for ${HttpClient.redact(url)}, retrying in ${(wait / 1000).toFixed(1)}s`);
+            await HttpClient.delay(wait);
+        }
+    }
+
+    attempt(url, method, headers, file) {
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('http:') ? http : https;
+            const req = client.request(url, { method, headers: { 'User-Agent': USER_AGENT, ...headers } }, (res) => {
+                if (file && res.statusCode === 200) {
+                    const stream = fs.createWriteStream(file);
+                    res.pipe(stream);
+                    stream.on('finish', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.alloc(0) }));
+                    stream.on('error', reject);
+                    res.on('error', reject);
+                    return;
+                }
+
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+                res.on('error', reject);
+            });
+
+            req.on('error', reject);
+            req.setTimeout(this.timeout, () => req.destroy(new Error('Request timeout')));
+            req.end();
+        });
+    }
+
+    // Exponential backoff with jitter, or the server's Retry-After
+    backoff(attempt, response) {
+        const retryAfter = response && response.headers['retry-after'];
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const wait = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (Number.isFinite(wait) && wait >= 0) return Math.min(wait, MAX_BACKOFF_MS * 2);
+        }
+        return Math.min(MAX_BACKOFF_MS, 1000 * 2 ** attempt) * (0.5 + Math.random() / 2);
+    }
+
+    // Wait for the host's next slot, then for a free concurrency slot
+    async acquire(host) {
+        const interval = host in this.hostIntervals ? this.hostIntervals[host] : this.defaultInterval;
+        const now = Date.now();
+        const start = Math.max(now, this.hosts.get(host) || 0);
+        this.hosts.set(host, start + interval);
+        if (start > now) await HttpClient.delay(start - now);
+
+        if (this.active >= this.concurrency) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        this.active++;
+    }
+
+    release() {
+        this.active--;
+        const next = this.waiting.shift();
+        if (next) next();
+    }
+
+    deferHost(host, wait) {
+        this.hosts.set(host, Math.max(this.hosts.get(host) || 0, Date.now() + wait));
+    }
+
+    cacheKey(method, url) {
+        return crypto.createHash('sha1').update(`${method} ${HttpClient.redact(url)}`).digest('hex');
+    }
+
+    entryPath(key) {
+        return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+    }
+
+    readEntry(key) {
+        if (!this.cacheDir) return null;
+        try {
+            return JSON.parse(fs.readFileSync(this.entryPath(key), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeEntry(key, entry) {
+        if (!this.cacheDir) return;
+        const entryPath = this.entryPath(key);
+        fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+        fs.writeFileSync(`${entryPath}.${process.pid}.tmp`, JSON.stringify(entry));
+        fs.renameSync(`${entryPath}.${process.pid}.tmp`, entryPath);
+    }
+
+    static pickHeaders(headers) {
+        const picked = {};
+        ['content-type', 'etag', 'last-modified'].forEach(name => {
+            if (headers[name]) picked[name] = headers[name];
+        });
+        return picked;
+    }
+
+    static redact(url) {
+        return url.replace(/([?&](?:key|y)=)[^&]*/g, '$1***');
+    }
+
+    static delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = { HttpClient };
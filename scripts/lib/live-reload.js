@@ -0,0 +1,127 @@
+/**
+ * Live Reload
+ * Watches data/, js/ and styles/ for server.js and tells open pages about changes with server-sent events.
+ *
+ * Pages get a small client script injected before </body>:
+ * - styles/ changes swap the stylesheets in place
+ * - data/ changes dispatch a cancelable `datachange` event on window; the dashboard refreshes its data
+ *   and cancels it, other pages reload
+ * - anything else reloads the page
+ * The script tag has a data-live-reload attribute; js/main.js skips the service worker when it is there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WATCHED_DIRECTORIES = ['data', 'js', 'styles'];
+const DEBOUNCE_MS = 150;
+const KEEPALIVE_MS = 30000;
+
+const CLIENT_SCRIPT = `
+<script data-live-reload>
+// Live reload of server.js
+(() => {
+    const source = new EventSource('/__live-reload');
+    source.addEventListener('change', (event) => {
+        const paths = JSON.parse(event.data).paths;
+        if (paths.every(file => file.startsWith('styles/'))) {
+            document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+                const url = new URL(link.href);
+                if (url.origin !== location.origin) return;
+                url.searchParams.set('reload', Date.now());
+                link.href = url.href;
+            });
+            return;
+        }
+        if (paths.every(file => file.startsWith('data/'))) {
+            const handled = !window.dispatchEvent(new CustomEvent('datachange', { cancelable: true, detail: { paths } }));
+            if (handled) return;
+        }
+        location.reload();
+    });
+})();
+</script>
+`;
+
+class LiveReload {
+    constructor(root, directories = WATCHED_DIRECTORIES) {
+        this.root = root;
+        this.directories = directories;
+        this.clients = new Set();
+        this.watchers = new Map();
+        this.pending = new Set();
+        this.timer = null;
+    }
+
+    start() {
+        this.directories.forEach(directory => this.watchTree(path.join(this.root, directory)));
+        this.keepalive = setInterval(() => {
+            this.clients.forEach(res => res.write(': keepalive\n\n'));
+        }, KEEPALIVE_MS);
+        this.keepalive.unref();
+        return this;
+    }
+
+    // Watch a directory and its subdirectories (recursive fs.watch is not available everywhere)
+    watchTree(directory) {
+        if (this.watchers.has(directory) || !fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) return;
+
+        try {
+            const watcher = fs.watch(directory, (event, filename) => this.onChange(directory, filename));
+            watcher.on('error', () => {
+                watcher.close();
+                this.watchers.delete(directory);
+            });
+            this.watchers.set(directory, watcher);
+        } catch (error) {
+            console.warn(`⚠️  Cannot watch ${path.relative(this.root, directory)}: ${error.message}`);
+            return;
+        }
+
+        fs.readdirSync(directory, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .forEach(entry => this.watchTree(path.join(directory, entry.name)));
+    }
+
+    onChange(directory, filename) {
+        // Temporary files of atomic writes (data-store.js) are renamed over the real file right away
+        if (!filename || filename.startsWith('.') || filename.endsWith('.tmp') || filename.endsWith('~')) return;
+
+        const filePath = path.join(directory, filename.toString());
+        this.watchTree(filePath);
+        this.pending.add(path.relative(this.root, filePath).split(path.sep).join('/'));
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), DEBOUNCE_MS);
+    }
+
+    flush() {
+        const paths = [...this.pending].sort();
+        this.pending.clear();
+        if (paths.length === 0) return;
+
+        console.log(`🔄 Changed: ${paths.join(', ')}${this.clients.size > 0 ? ` (${this.clients.size} page(s) notified)` : ''}`);
+        const message = `event: change\ndata: ${JSON.stringify({ paths })}\n\n`;
+        this.clients.forEach(res => res.write(message));
+    }
+
+    // Server-sent events stream of a page
+    handle(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+        res.write('retry: 2000\n\n');
+
+        this.clients.add(res);
+        req.on('close', () => this.clients.delete(res));
+    }
+
+    injectClient(html) {
+        const index = html.lastIndexOf('</body>');
+        return index === -1 ? html + CLIENT_SCRIPT : html.slice(0, index) + CLIENT_SCRIPT + html.slice(index);
+    }
+}
+
+module.exports = { LiveReload };
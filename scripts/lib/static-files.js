@@ -0,0 +1,278 @@
+/**
+ * Static File Handler
+ * Serves the files of a root directory for server.js:
+ * - No access outside the root (../, encoded or through symlinks) or to dotfiles (.git, .env)
+ * - ETag and Last-Modified revalidation (304), always revalidated by the browser
+ * - gzip for text types, HEAD, single byte ranges (206/416)
+ * - Directory index.html, with a redirect to the trailing slash
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+};
+
+const COMPRESSIBLE = /^(text\/|application\/(json|manifest\+json|xml)|image\/svg\+xml)/;
+const MIN_COMPRESS_SIZE = 1024;
+
+class StaticFileHandler {
+    /**
+     * @param {string} root - Directory to serve
+     * @param {Object} [options]
+     * @param {function(string): string} [options.transformHtml] - Rewrites HTML pages before sending (live reload script)
+     */
+    constructor(root, { transformHtml = null } = {}) {
+        this.root = fs.realpathSync(path.resolve(root));
+        this.transformHtml = transformHtml;
+    }
+
+    /**
+     * Answer a GET or HEAD request
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {URL} url - Parsed request URL
+     */
+    async handle(req, res, url) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('405 - Method Not Allowed');
+            return;
+        }
+
+        let filePath = this.resolve(url.pathname);
+        let stat = filePath ? await this.stat(filePath) : null;
+
+        if (stat && stat.isDirectory()) {
+            if (!url.pathname.endsWith('/')) {
+                // From the resolved path: the request's own (//example.com/dir) would redirect to another site
+                const location = path.relative(this.root, filePath).split(path.sep).map(encodeURIComponent).join('/');
+                res.writeHead(301, { Location: `/${location}/${url.search}` });
+                res.end();
+                return;
+            }
+            filePath = path.join(filePath, 'index.html');
+            stat = await this.stat(filePath);
+        }
+
+        if (!stat || !stat.isFile()) {
+            this.sendNotFound(req, res, url.pathname);
+            return;
+        }
+
+        try {
+            // Symlinks must not lead out of the root either (the file may also be gone since stat)
+            if (!this.isInsideRoot(await fs.promises.realpath(filePath))) {
+                this.sendNotFound(req, res, url.pathname);
+                return;
+            }
+            await this.sendFile(req, res, filePath, stat);
+        } catch (error) {
+            if (error.code === 'ENOENT' && !res.headersSent) {
+                this.sendNotFound(req, res, url.pathname);
+                return;
+            }
+            console.error(`❌ Could not serve ${filePath}:`, error.message);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            }
+            res.end();
+        }
+    }
+
+    // File of a URL path, null when it would be outside the root or hidden
+    resolve(pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (error) {
+            return null;
+        }
+        if (decoded.includes('\0')) return null;
+
+        // Also rejects '..' segments
+        const segments = decoded.split(/[/\\]/).filter(Boolean);
+        if (segments.some(segment => segment.startsWith('.'))) return null;
+
+        const filePath = path.join(this.root, ...segments);
+        return this.isInsideRoot(filePath) ? filePath : null;
+    }
+
+    isInsideRoot(filePath) {
+        return filePath === this.root || filePath.startsWith(this.root + path.sep);
+    }
+
+    async stat(filePath) {
+        try {
+            return await fs.promises.stat(filePath);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    contentType(filePath) {
+        return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    }
+
+    async sendFile(req, res, filePath, stat) {
+        const type = this.contentType(filePath);
+        const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+        const headers = {
+            'Content-Type': type,
+            'Last-Modified': stat.mtime.toUTCString(),
+            ETag: etag,
+            'Cache-Control': 'no-cache',
+            Vary: 'Accept-Encoding'
+        };
+
+        if (this.isFresh(req, etag, stat.mtime)) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        const gzip = COMPRESSIBLE.test(type) && /\bgzip\b/.test(req.headers['accept-encoding'] || '');
+
+        // HTML may be rewritten, so it is read whole and never served in ranges
+        if (this.transformHtml && type.startsWith('text/html')) {
+            const html = this.transformHtml(await fs.promises.readFile(filePath, 'utf8'));
+            this.sendBuffer(req, res, 200, headers, Buffer.from(html), gzip);
+            return;
+        }
+
+        headers['Accept-Ranges'] = 'bytes';
+        const range = this.parseRange(req, etag, stat.size);
+        if (range === false) {
+            res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stat.size}` });
+            res.end();
+            return;
+        }
+
+        if (range) {
+            res.writeHead(206, {
+                ...headers,
+                'Content-Range': `bytes ${range.start}-${range.end}/${stat.size}`,
+                'Content-Length': range.end - range.start + 1
+            });
+            this.pipe(req, res, fs.createReadStream(filePath, range));
+            return;
+        }
+
+        if (gzip && stat.size >= MIN_COMPRESS_SIZE) {
+            res.writeHead(200, { ...headers, 'Content-Encoding': 'gzip' });
+            this.pipe(req, res, fs.createReadStream(filePath), zlib.createGzip());
+            return;
+        }
+
+        res.writeHead(200, { ...headers, 'Content-Length': stat.size });
+        this.pipe(req, res, fs.createReadStream(filePath));
+    }
+
+    sendBuffer(req, res, status, headers, body, gzip) {
+        if (gzip && body.length >= MIN_COMPRESS_SIZE) {
+            body = zlib.gzipSync(body);
+            headers = { ...headers, 'Content-Encoding': 'gzip' };
+        }
+        res.writeHead(status, { ...headers, 'Content-Length': body.length });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    }
+
+    pipe(req, res, stream, transform = null) {
+        if (req.method === 'HEAD') {
+            stream.destroy();
+            res.end();
+            return;
+        }
+        stream.on('error', () => res.destroy());
+        (transform ? stream.pipe(transform) : stream).pipe(res);
+    }
+
+    // If-None-Match wins over If-Modified-Since; ETags compare weakly
+    isFresh(req, etag, mtime) {
+        const noneMatch = req.headers['if-none-match'];
+        if (noneMatch) {
+            const strip = tag => tag.trim().replace(/^W\//, '');
+            return noneMatch === '*' || noneMatch.split(',').some(tag => strip(tag) === strip(etag));
+        }
+
+        const modifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+        return Number.isFinite(modifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= modifiedSince;
+    }
+
+    /**
+     * Byte range of a Range header (a single range; several ranges get the whole file)
+     * @returns {?{start: number, end: number}|false} Range, null for the whole file, false when unsatisfiable
+     */
+    parseRange(req, etag, size) {
+        const header = req.headers.range;
+        if (!header) return null;
+
+        // If-Range: only serve the range if the file did not change
+        const ifRange = req.headers['if-range'];
+        if (ifRange && ifRange !== etag) return null;
+
+        const match = header.match(/^bytes=(\d*)-(\d*)$/);
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range: the last N bytes
+            start = Math.max(0, size - Number(match[2]));
+            end = size - 1;
+        } else {
+            start = Number(match[1]);
+            end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+        }
+
+        if (start >= size || start > end) return false;
+        return { start, end };
+    }
+
+    sendNotFound(req, res, pathname) {
+        const safePath = String(pathname).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>404 - Not Found</title>
+    <style>
+        body { background: #1e2329; color: #c7d5e0; font-family: Arial, sans-serif; text-align: center; padding: 4rem 1rem; }
+        h1 { color: #ffffff; }
+        code { color: #cdaa7d; }
+        a { color: #7c8fa6; }
+    </style>
+</head>
+<body>
+    <h1>404 - Not Found</h1>
+    <p>No file at <code>${safePath}</code>.</p>
+    <p><a href="/">Back to the dashboard</a></p>
+</body>
+</html>
+`;
+        const headers = { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' };
+        this.sendBuffer(req, res, 404, headers, Buffer.from(this.transformHtml ? this.transformHtml(html) : html), false);
+    }
+}
+
+module.exports = { StaticFileHandler, MIME_TYPES };
@@ -0,0 +1,71 @@
+/**
+ * Task Pool
+ * Runs a worker over items with limited concurrency. The console output of each item is held back
+ * and printed in item order, so logs read like those of a sequential run.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+const output = new AsyncLocalStorage();
+const original = {};
+
+// Console calls made inside a task go to its buffer; everything else prints as usual
+function captureConsole() {
+    if (Object.keys(original).length > 0) return;
+    CONSOLE_METHODS.forEach(method => {
+        original[method] = console[method];
+        console[method] = (...args) => {
+            const buffer = output.getStore();
+            if (buffer) {
+                buffer.push([method, args]);
+            } else {
+                original[method].apply(console, args);
+            }
+        };
+    });
+}
+
+/**
+ * @param {Array} items
+ * @param {number} concurrency - Items processed at once
+ * @param {function(*, number): Promise<*>} worker - Called with an item and its index
+ * @returns {Promise<Array>} Worker results, in item order; rejects with the first error once every item settled
+ */
+async function runPool(items, concurrency, worker) {
+    captureConsole();
+
+    const results = new Array(items.length);
+    const buffers = items.map(() => []);
+    const finished = items.map(() => false);
+    let nextToPrint = 0;
+    let nextToStart = 0;
+    let firstError = null;
+
+    const flush = () => {
+        while (nextToPrint < items.length && finished[nextToPrint]) {
+            buffers[nextToPrint].forEach(([method, args]) => original[method].apply(console, args));
+            buffers[nextToPrint] = null;
+            nextToPrint++;
+        }
+    };
+
+    const runNext = async () => {
+        while (nextToStart < items.length) {
+            const index = nextToStart++;
+            try {
+                results[index] = await output.run(buffers[index], () => worker(items[index], index));
+            } catch (error) {
+                if (!firstError) firstError = error;
+            }
+            finished[index] = true;
+            flush();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, runNext));
+    if (firstError) throw firstError;
+    return results;
+}
+
+module.exports = { runPool };
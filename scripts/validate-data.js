@@ -0,0 +1,500 @@
+#!/usr/bin/env node
+
+/**
+ * Data Validator
+ * Checks the platform data files (data/<platform>.json) against their JSON Schemas (schemas/)
+ *
+ * Usage:
+ *   node scripts/validate-data.js                    # Validate every platform file
+ *   node scripts/validate-data.js data/steam.json    # Validate some files only
+ *
+ * With team profiles (data/users.json), the platform files of each profile's directory are checked as
+ * well; a profile can leave out platforms it doesn't use.
+ *
+ * Checks:
+ * - Schema: unknown or misspelled fields, types, required fields, RA subsets shape
+ * - Duplicate keys and duplicate platformIds
+ * - Unlocked counts greater than totalAchievements
+ * - Dates that are malformed, do not exist or lie in the future
+ * - coverImage files missing on disk
+ * - console values without an icon in assets/icons/consoles/ (warning)
+ *
+ * Errors are printed as file:line and make the script exit with code 1.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PlatformRegistry = require('../js/platforms');
+const { getCoverVariantPath, getUserDataFile, normalizeUsers } = require('../js/render');
+
+PlatformRegistry.loadAll();
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Minimal JSON reader that remembers the line of every value
+ * Keys are JSON Pointers ('/3/subsets/Base/totalAchievements'); object members point at their key
+ */
+class JsonLocator {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.line = 1;
+        this.lines = new Map();
+        this.duplicateKeys = [];
+        this.parseValue('');
+    }
+
+    lineOf(pointer) {
+        // Fall back to the closest parent that exists (e.g. for missing fields)
+        while (!this.lines.has(pointer) && pointer) {
+            pointer = pointer.slice(0, pointer.lastIndexOf('/'));
+        }
+        return this.lines.get(pointer) || 1;
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+            if (this.text[this.pos] === '\n') this.line++;
+            this.pos++;
+        }
+    }
+
+    parseValue(pointer) {
+        this.skipWhitespace();
+        if (!this.lines.has(pointer)) this.lines.set(pointer, this.line);
+
+        const char = this.text[this.pos];
+        if (char === '{') return this.parseObject(pointer);
+        if (char === '[') return this.parseArray(pointer);
+        if (char === '"') return this.parseString();
+
+        // Numbers and literals
+        while (this.pos < this.text.length && !/[\s,\]}]/.test(this.text[this.pos])) this.pos++;
+    }
+
+    parseObject(pointer) {
+        const keys = new Set();
+        this.pos++;
+        this.skipWhitespace();
+        if (this.text[this.pos] === '}') {
+            this.pos++;
+            return;
+        }
+
+        while (this.pos < this.text.length) {
+            this.skipWhitespace();
+            const line = this.line;
+            const key = this.parseString();
+            const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+            if (keys.has(key)) {
+                this.duplicateKeys.push({ pointer: childPointer, line });
+            }
+            keys.add(key);
+            this.lines.set(childPointer, line);
+
+            this.skipWhitespace();
+            this.pos++; // ':'
+            this.parseValue(childPointer);
+            this.skipWhitespace();
+            if (this.text[this.pos++] === '}') return;
+        }
+    }
+
+    parseArray(pointer) {
+        this.pos++;
+        this.skipWhitespace();
+        if (this.text[this.pos] === ']') {
+            this.pos++;
+            return;
+        }
+
+        for (let index = 0; this.pos < this.text.length; index++) {
+            this.parseValue(`${pointer}/${index}`);
+            this.skipWhitespace();
+            if (this.text[this.pos++] === ']') return;
+        }
+    }
+
+    parseString() {
+        const start = ++this.pos;
+        while (this.text[this.pos] !== '"') {
+            if (this.text[this.pos] === '\\') this.pos++;
+            this.pos++;
+        }
+        return JSON.parse(`"${this.text.slice(start, this.pos++)}"`);
+    }
+}
+
+/**
+ * JSON Schema validator for the keywords used in schemas/
+ * ($ref, type, enum, format: date, pattern, minLength, maxLength, minimum, properties, required,
+ * additionalProperties, propertyNames, items, minItems, uniqueItems)
+ */
+class SchemaValidator {
+    constructor(schemaDir) {
+        this.schemaDir = schemaDir;
+        this.schemas = new Map();
+    }
+
+    load(file) {
+        if (!this.schemas.has(file)) {
+            this.schemas.set(file, JSON.parse(fs.readFileSync(path.join(this.schemaDir, file), 'utf8')));
+        }
+        return this.schemas.get(file);
+    }
+
+    resolve(ref, baseFile) {
+        const [file, fragment = ''] = ref.split('#');
+        const schemaFile = file || baseFile;
+        let schema = this.load(schemaFile);
+        fragment.split('/').filter(Boolean).forEach(part => {
+            schema = schema && schema[part];
+        });
+        if (!schema) throw new Error(`Unresolved schema reference ${ref} in ${baseFile}`);
+        return { schema, file: schemaFile };
+    }
+
+    /**
+     * Validate a value
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema (or sub-schema)
+     * @param {string} file - Schema file the sub-schema belongs to, for $ref resolution
+     * @param {string} pointer - JSON Pointer of the value
+     * @param {Array} errors - Receives { pointer, message }
+     */
+    validate(value, schema, file, pointer, errors) {
+        if (schema.$ref) {
+            const resolved = this.resolve(schema.$ref, file);
+            return this.validate(value, resolved.schema, resolved.file, pointer, errors);
+        }
+
+        const error = message => errors.push({ pointer, message });
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            const actual = this.typeOf(value);
+            if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+                return error(`expected ${types.join(' or ')}, got ${actual} (${JSON.stringify(value)})`);
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            return error(`${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                error('must not be empty');
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                error(`longer than ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                error(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+            }
+            if (schema.format === 'date' && !this.isValidDate(value)) {
+                error(`${JSON.stringify(value)} is not a valid date (YYYY-MM-DD)`);
+            }
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            error(`${value} is less than ${schema.minimum}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                error(`expected at least ${schema.minItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validate(item, schema.items, file, `${pointer}/${index}`, errors));
+            }
+            if (schema.uniqueItems) {
+                const seen = new Set();
+                value.forEach((item, index) => {
+                    const key = JSON.stringify(item);
+                    if (seen.has(key)) errors.push({ pointer: `${pointer}/${index}`, message: `duplicate item ${key}` });
+                    seen.add(key);
+                });
+            }
+        } else if (value && typeof value === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) error(`missing required field "${key}"`);
+            });
+
+            Object.entries(value).forEach(([key, child]) => {
+                const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                if (schema.propertyNames && schema.propertyNames.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                    errors.push({ pointer: childPointer, message: `key "${key}" does not match ${schema.propertyNames.pattern}` });
+                }
+                if (properties[key]) {
+                    this.validate(child, properties[key], file, childPointer, errors);
+                } else if (schema.additionalProperties === false) {
+                    const suggestion = this.closestKey(key, Object.keys(properties));
+                    errors.push({
+                        pointer: childPointer,
+                        message: `unknown field "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+                    });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    this.validate(child, schema.additionalProperties, file, childPointer, errors);
+                }
+            });
+        }
+    }
+
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    isValidDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    }
+
+    closestKey(key, candidates) {
+        let best = null;
+        let bestDistance = 3;
+        candidates.forEach(candidate => {
+            const distance = this.editDistance(key.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                previous = current;
+            }
+        }
+        return row[b.length];
+    }
+}
+
+class DataValidator {
+    /**
+     * @param {string[]} files - Files to check, all data files when empty
+     * @param {Object} [options]
+     * @param {string} [options.root] - Site root of the data files, covers and console icons; the schemas
+     *   always come from this checkout
+     */
+    constructor(files, { root = ROOT } = {}) {
+        this.files = files;
+        this.root = path.resolve(root);
+        this.schemaValidator = new SchemaValidator(path.join(ROOT, 'schemas'));
+        this.errorCount = 0;
+        this.warningCount = 0;
+    }
+
+    run() {
+        console.log('🔍 Data Validator');
+        console.log('=================\n');
+
+        const targets = this.listTargets().filter(({ file }) =>
+            this.files.length === 0 || this.files.some(arg => path.resolve(arg) === path.join(this.root, file)));
+
+        if (this.files.length > 0 && targets.length < this.files.length) {
+            console.error('❌ Not a platform data file:', this.files.filter(arg =>
+                !targets.some(({ file }) => path.resolve(arg) === path.join(this.root, file))).join(', '));
+            process.exit(1);
+        }
+
+        targets.forEach(({ definition, file }) => this.validateFile(definition, file));
+
+        console.log('');
+        if (this.errorCount > 0) {
+            console.log(`❌ ${this.errorCount} error(s), ${this.warningCount} warning(s)`);
+            process.exit(1);
+        }
+        console.log(`✅ ${targets.length} file(s) valid${this.warningCount > 0 ? `, ${this.warningCount} warning(s)` : ''}`);
+    }
+
+    // Platform files of data/, and those each team profile of data/users.json has
+    listTargets() {
+        const usersPath = path.join(this.root, 'data', 'users.json');
+        let users = [];
+        if (fs.existsSync(usersPath)) {
+            try {
+                users = normalizeUsers(JSON.parse(fs.readFileSync(usersPath, 'utf8')));
+            } catch (error) {
+                this.report('error', 'data/users.json', 1, `invalid JSON: ${error.message}`);
+            }
+        }
+
+        const profiles = users.filter(user => user.dataDir !== 'data');
+        return [null, ...profiles].flatMap(user => PlatformRegistry.all()
+            .map(definition => ({ definition, file: getUserDataFile(definition.dataFile, user) }))
+            .filter(({ file }) => user === null || fs.existsSync(path.join(this.root, file))));
+    }
+
+    validateFile(definition, file) {
+        const filePath = path.join(this.root, file);
+        if (!fs.existsSync(filePath)) {
+            console.log(`⚠️  ${file}: missing, skipped`);
+            this.warningCount++;
+            return;
+        }
+
+        const text = fs.readFileSync(filePath, 'utf8');
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Node reports "at position N": turn it into a line number
+            const position = Number((error.message.match(/position (\d+)/) || [])[1]);
+            const line = Number.isFinite(position) ? text.slice(0, position).split('\n').length : 1;
+            this.report('error', file, line, `invalid JSON: ${error.message}`);
+            return;
+        }
+
+        const locator = new JsonLocator(text);
+        const problems = [
+            ...locator.duplicateKeys.map(({ pointer }) => ({ level: 'error', pointer, message: 'duplicate key, the last value wins' })),
+            ...this.checkData(definition, data)
+        ];
+
+        problems
+            .map(problem => ({ ...problem, line: locator.lineOf(problem.pointer) }))
+            .sort((a, b) => a.line - b.line)
+            .forEach(problem => this.report(problem.level, file, problem.line, `${this.formatPointer(problem.pointer, data)}: ${problem.message}`));
+
+        if (problems.length === 0) {
+            console.log(`✅ ${file} (${data.length} games)`);
+        }
+    }
+
+    /**
+     * Schema and data checks of a parsed platform file (also used by the write API of server.js)
+     * @param {Object} definition - Platform definition from the registry
+     * @param {*} data - Parsed data file
+     * @returns {Array<{level: string, pointer: string, message: string}>} Problems, by JSON pointer
+     */
+    checkData(definition, data) {
+        const problems = [];
+        const error = (pointer, message) => problems.push({ level: 'error', pointer, message });
+        const warning = (pointer, message) => problems.push({ level: 'warning', pointer, message });
+
+        const schemaErrors = [];
+        this.schemaValidator.validate(data, this.schemaValidator.load(path.basename(definition.schemaFile)),
+            path.basename(definition.schemaFile), '', schemaErrors);
+        schemaErrors.forEach(({ pointer, message }) => error(pointer, message));
+
+        if (Array.isArray(data)) {
+            this.checkGames(data, error, warning);
+        }
+        return problems;
+    }
+
+    // Checks that a schema cannot express
+    checkGames(games, error, warning) {
+        const seenIds = new Map();
+        const today = new Date();
+        today.setUTCDate(today.getUTCDate() + 1); // Allow for time zones
+        const latestDate = today.toISOString().slice(0, 10);
+
+        games.forEach((game, index) => {
+            if (!game || typeof game !== 'object') return;
+            const pointer = `/${index}`;
+
+            if (game.platformId !== undefined) {
+                const id = String(game.platformId);
+                if (seenIds.has(id)) {
+                    error(`${pointer}/platformId`, `duplicate platformId "${id}" (also at [${seenIds.get(id)}])`);
+                } else {
+                    seenIds.set(id, index);
+                }
+            }
+
+            if (typeof game.console === 'string' && game.console &&
+                !fs.existsSync(path.join(this.root, PlatformRegistry.consoleIcon(game.console)))) {
+                warning(`${pointer}/console`, `unknown console "${game.console}", no ${PlatformRegistry.consoleIcon(game.console)}`);
+            }
+
+            // Progress fields live on the game or on each of its RA sets
+            const sets = game.subsets && typeof game.subsets === 'object'
+                ? Object.entries(game.subsets).map(([key, subset]) => [`${pointer}/subsets/${key}`, subset])
+                : [];
+            [[pointer, game], ...sets].forEach(([setPointer, set]) => {
+                if (!set || typeof set !== 'object') return;
+                this.checkProgress(set, setPointer, latestDate, error, warning);
+            });
+        });
+    }
+
+    checkProgress(set, pointer, latestDate, error, warning) {
+        const total = set.totalAchievements;
+        if (Number.isInteger(total)) {
+            if (Number.isInteger(set.unlockedAchievements) && set.unlockedAchievements > total) {
+                error(`${pointer}/unlockedAchievements`, `${set.unlockedAchievements} unlocked out of ${total} achievements`);
+            }
+            if (Number.isInteger(set.unlockedAchievementsHardcore) && set.unlockedAchievementsHardcore > total) {
+                error(`${pointer}/unlockedAchievementsHardcore`, `${set.unlockedAchievementsHardcore} unlocked out of ${total} achievements`);
+            }
+        }
+        if (Number.isInteger(set.unlockedAchievementsHardcore) && Number.isInteger(set.unlockedAchievements) &&
+            set.unlockedAchievementsHardcore > set.unlockedAchievements) {
+            error(`${pointer}/unlockedAchievementsHardcore`, 'more hardcore unlocks than unlocks (unlockedAchievements counts both)');
+        }
+
+        if (typeof set.lastAchievement === 'string' && this.schemaValidator.isValidDate(set.lastAchievement) &&
+            set.lastAchievement > latestDate) {
+            error(`${pointer}/lastAchievement`, `${set.lastAchievement} is in the future`);
+        }
+        if (set.lastAchievement && set.unlockedAchievements === 0) {
+            error(`${pointer}/lastAchievement`, 'set while no achievement is unlocked');
+        }
+
+        if (typeof set.coverImage === 'string' && !/^https?:\/\//.test(set.coverImage) &&
+            !fs.existsSync(path.join(this.root, set.coverImage))) {
+            error(`${pointer}/coverImage`, `file not found: ${set.coverImage}`);
+        }
+        // Variants go stale when coverImage is changed by hand; the fetcher writes them again
+        if (typeof set.coverImage === 'string' && Array.isArray(set.coverSizes)) {
+            const missing = set.coverSizes
+                .flatMap(width => ['webp', 'jpg'].map(format => getCoverVariantPath(set.coverImage, width, format)))
+                .filter(variant => !fs.existsSync(path.join(this.root, variant)));
+            if (missing.length > 0) {
+                warning(`${pointer}/coverSizes`, `resized cover not found: ${missing.join(', ')} (run the fetcher)`);
+            }
+        }
+    }
+
+    // '/3/subsets/Base/totalAchievements' -> '[3] Game Name › subsets.Base.totalAchievements'
+    formatPointer(pointer, data) {
+        const parts = pointer.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+        if (parts.length === 0) return '(file)';
+        const game = Array.isArray(data) ? data[parts[0]] : null;
+        const label = game && (game.name || game.platformId) ? ` ${game.name || game.platformId}` : '';
+        return `[${parts[0]}]${label}${parts.length > 1 ? ` › ${parts.slice(1).join('.')}` : ''}`;
+    }
+
+    report(level, file, line, message) {
+        if (level === 'error') {
+            this.errorCount++;
+            console.log(`❌ ${file}:${line}: ${message}`);
+        } else {
+            this.warningCount++;
+            console.log(`⚠️  ${file}:${line}: ${message}`);
+        }
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    new DataValidator(process.argv.slice(2)).run();
+}
+
+module.exports = { DataValidator, SchemaValidator, JsonLocator };
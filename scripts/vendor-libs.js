@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Library Vendoring
+ * Downloads the third-party scripts of the dashboard into js/vendor/, so the page (and the offline
+ * copy kept by sw.js) doesn't depend on a CDN
+ *
+ * Usage:
+ *   node scripts/vendor-libs.js          # Download libraries missing or at another version
+ *   node scripts/vendor-libs.js --force  # Download all libraries again
+ *
+ * To upgrade a library, change its version here and in the CDN fallback of index.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpClient } = require('./lib/http-client');
+
+const ROOT = path.join(__dirname, '..');
+
+const LIBRARIES = [
+    {
+        name: 'Chart.js',
+        version: '4.4.1',
+        url: version => `https://cdn.jsdelivr.net/npm/chart.js@${version}/dist/chart.umd.js`,
+        file: 'js/vendor/chart.umd.js',
+        // The bundle starts with a banner comment naming its version
+        banner: version => `Chart.js v${version}`
+    }
+];
+
+class LibraryVendor {
+    constructor({ force = false } = {}) {
+        this.force = force;
+        this.http = new HttpClient();
+    }
+
+    async run() {
+        console.log('📦 Library Vendoring');
+        console.log('====================\n');
+
+        let failed = 0;
+        for (const library of LIBRARIES) {
+            const filePath = path.join(ROOT, library.file);
+            if (!this.force && this.isCurrent(library, filePath)) {
+                console.log(`✅ ${library.name} ${library.version} already in ${library.file}`);
+                continue;
+            }
+
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            if (await this.http.download(library.url(library.version), filePath) && this.isCurrent(library, filePath)) {
+                console.log(`💾 ${library.name} ${library.version} -> ${library.file}`);
+            } else {
+                // index.html falls back to the CDN without the file
+                fs.rmSync(filePath, { force: true });
+                console.log(`❌ Could not download ${library.name} ${library.version}`);
+                failed++;
+            }
+        }
+
+        if (failed > 0) {
+            process.exit(1);
+        }
+        console.log('\n✅ Libraries up to date');
+    }
+
+    isCurrent(library, filePath) {
+        if (!fs.existsSync(filePath)) return false;
+        const head = fs.readFileSync(filePath, 'utf8').slice(0, 500);
+        return head.includes(library.banner(library.version));
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    new LibraryVendor({ force: process.argv.includes('--force') }).run();
+}
+
+module.exports = LibraryVendor;
@@ -2,60 +2,214 @@
 
 /**
  * Simple HTTP server for local development
- * Usage: node server.js [port]
- * Default port: 8000
+ * Usage: node server.js [port] [--root <dir>] [--no-reload]
+ * Default port: 8000, default root: the current directory
+ *
+ * Static files come from scripts/lib/static-files.js (no access outside the root, caching headers, gzip, ranges).
+ * Pages reload when data/, js/ or styles/ change (scripts/lib/live-reload.js), unless --no-reload is given.
+ *
+ * Also serves a local editing API for the admin panel (js/admin.js), only to requests from this machine:
+ *   GET    /api/platforms
+ *   GET    /api/games/<platform>                       List games
+ *   POST   /api/games/<platform>                       Add a game
+ *   GET    /api/games/<platform>/<platformId>          Read a game
+ *   PUT    /api/games/<platform>/<platformId>          Replace a game
+ *   DELETE /api/games/<platform>/<platformId>          Delete a game
+ *   PUT    /api/games/<platform>/<platformId>/subsets/<key>  Add or replace a RetroAchievements set
+ *   DELETE /api/games/<platform>/<platformId>/subsets/<key>  Delete a RetroAchievements set
+ *   POST   /api/games/<platform>/<platformId>/fetch    Fetch the missing name, console and cover
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const PlatformRegistry = require('./js/platforms');
+const { DataStore, DataStoreError } = require('./scripts/lib/data-store');
+const { StaticFileHandler } = require('./scripts/lib/static-files');
+const { LiveReload } = require('./scripts/lib/live-reload');
+const CoverFetcher = require('./scripts/fetch-covers');
 
-const PORT = process.argv[2] || 8000;
-
-const MIME_TYPES = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'text/javascript',
-    '.json': 'application/json',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.webp': 'image/webp',
-    '.ico': 'image/x-icon',
-    '.woff': 'font/woff',
-    '.woff2': 'font/woff2',
-};
+const args = process.argv.slice(2);
+const rootIndex = args.indexOf('--root');
+const ROOT_DIR = path.resolve(rootIndex !== -1 ? args[rootIndex + 1] || '' : process.cwd());
+const PORT = args.find((arg, i) => /^\d+$/.test(arg) && (rootIndex === -1 || i !== rootIndex + 1)) || 8000;
+const MAX_BODY_SIZE = 1024 * 1024;
 
-const server = http.createServer((req, res) => {
-    let filePath = '.' + req.url;
-    if (filePath === './') {
-        filePath = './index.html';
-    }
-
-    const extname = String(path.extname(filePath)).toLowerCase();
-    const contentType = MIME_TYPES[extname] || 'application/octet-stream';
-
-    fs.readFile(filePath, (error, content) => {
-        if (error) {
-            if (error.code === 'ENOENT') {
-                res.writeHead(404, { 'Content-Type': 'text/html' });
-                res.end('<h1>404 - File Not Found</h1>', 'utf-8');
-            } else {
-                res.writeHead(500);
-                res.end(`Server Error: ${error.code}`, 'utf-8');
+if (rootIndex !== -1 && !args[rootIndex + 1]) {
+    console.error('❌ --root needs a directory');
+    process.exit(1);
+}
+if (!fs.existsSync(ROOT_DIR) || !fs.statSync(ROOT_DIR).isDirectory()) {
+    console.error(`❌ Root is not a directory: ${ROOT_DIR}`);
+    process.exit(1);
+}
+
+const store = new DataStore(ROOT_DIR);
+const liveReload = args.includes('--no-reload') ? null : new LiveReload(ROOT_DIR).start();
+const staticFiles = new StaticFileHandler(ROOT_DIR, {
+    transformHtml: liveReload ? html => liveReload.injectClient(html) : null
+});
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+// Addresses of this server: a page of another site rebound to 127.0.0.1 (DNS rebinding) still sends its own name
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'].map(host => `${host}:${PORT}`);
+
+function isLocalRequest(req) {
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress) &&
+        LOCAL_HOSTS.includes((req.headers.host || '').toLowerCase());
+}
+
+// Writes come from pages of this server, with JSON bodies: other sites can't send those without a CORS preflight we never answer
+function isSameOriginWrite(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+    const origin = req.headers.origin;
+    return (req.method === 'DELETE' || contentType === 'application/json') &&
+        (!origin || LOCAL_HOSTS.some(host => origin.toLowerCase() === `http://${host}`));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new DataStoreError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new DataStoreError(400, `Invalid JSON: ${error.message}`));
             }
-        } else {
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(content, 'utf-8');
+        });
+        req.on('error', reject);
+    });
+}
+
+// Apply what the fetcher changed (before -> after) to the current entry, which may have been edited meanwhile
+function applyFetchedFields(current, before, after) {
+    const result = { ...current };
+    Object.keys(after).forEach(key => {
+        if (key === 'subsets' && current.subsets && after.subsets) {
+            result.subsets = { ...current.subsets };
+            Object.keys(after.subsets).forEach(setKey => {
+                if (result.subsets[setKey]) {
+                    result.subsets[setKey] = applyFetchedFields(result.subsets[setKey], (before.subsets || {})[setKey] || {}, after.subsets[setKey]);
+                }
+            });
+        } else if (JSON.stringify(after[key]) !== JSON.stringify(before[key])) {
+            result[key] = after[key];
+        }
+    });
+    return result;
+}
+
+async function fetchGameData(platform, platformId) {
+    const before = store.get(platform, platformId);
+    const game = JSON.parse(JSON.stringify(before));
+
+    const fetcher = new CoverFetcher({ root: ROOT_DIR });
+    if (PlatformRegistry.get(platform).subsets) {
+        await fetcher.fetchRAConsoles();
+    }
+    await fetcher.fetchGameData(platform, game, `🔍 ${platform}`);
+
+    return store.update(platform, platformId, applyFetchedFields(store.get(platform, platformId), before, game));
+}
+
+async function handleApi(req, res, pathname) {
+    if (!isLocalRequest(req)) {
+        return sendJson(res, 403, { error: `The editing API only answers requests from this machine, to ${LOCAL_HOSTS.join(', ')}` });
+    }
+    if (req.method !== 'GET' && !isSameOriginWrite(req)) {
+        return sendJson(res, 403, { error: 'Writes must come from pages of this server, with a JSON body' });
+    }
+
+    try {
+        const [resource, platform, platformId, action, key, ...rest] = pathname.split('/').slice(2).map(decodeURIComponent);
+        const route = `${req.method} ${[resource, platform && ':platform', platformId && ':id', action, key && ':key'].filter(Boolean).join('/')}`;
+
+        if (rest.length > 0) {
+            return sendJson(res, 404, { error: `No API route for ${req.method} ${pathname}` });
+        }
+
+        switch (route) {
+            case 'GET platforms':
+                return sendJson(res, 200, PlatformRegistry.all().map(({ id, name, subsets, coverStyles = null, coverStyle = null }) =>
+                    ({ id, name, subsets: !!subsets, coverStyles, coverStyle })));
+            case 'GET games/:platform':
+                return sendJson(res, 200, store.list(platform));
+            case 'POST games/:platform':
+                return sendJson(res, 201, store.create(platform, await readJsonBody(req)));
+            case 'GET games/:platform/:id':
+                return sendJson(res, 200, store.get(platform, platformId));
+            case 'PUT games/:platform/:id':
+                return sendJson(res, 200, store.update(platform, platformId, await readJsonBody(req)));
+            case 'DELETE games/:platform/:id':
+                return sendJson(res, 200, { game: store.remove(platform, platformId) });
+            case 'PUT games/:platform/:id/subsets/:key':
+                return sendJson(res, 200, store.setSubset(platform, platformId, key, await readJsonBody(req)));
+            case 'DELETE games/:platform/:id/subsets/:key':
+                return sendJson(res, 200, store.removeSubset(platform, platformId, key));
+            case 'POST games/:platform/:id/fetch':
+                return sendJson(res, 200, await fetchGameData(platform, platformId));
+            default:
+                return sendJson(res, 404, { error: `No API route for ${req.method} ${pathname}` });
+        }
+    } catch (error) {
+        if (error instanceof DataStoreError) {
+            return sendJson(res, error.status, { error: error.message, details: error.details });
+        }
+        if (error instanceof URIError) {
+            return sendJson(res, 400, { error: `Malformed URL: ${pathname}` });
+        }
+        console.error('❌ API error:', error);
+        return sendJson(res, 500, { error: error.message });
+    }
+}
+
+const server = http.createServer((req, res) => {
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('400 - Bad Request');
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        handleApi(req, res, url.pathname);
+        return;
+    }
+    if (liveReload && url.pathname === '/__live-reload') {
+        liveReload.handle(req, res);
+        return;
+    }
+
+    staticFiles.handle(req, res, url).catch(error => {
+        console.error('❌ Static file error:', error);
+        if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
         }
+        res.end();
     });
 });
 
 server.listen(PORT, () => {
     console.log(`🚀 Server running at http://localhost:${PORT}/`);
-    console.log(`📂 Serving files from: ${process.cwd()}`);
+    console.log(`📂 Serving files from: ${staticFiles.root}`);
+    console.log(`✏️  Editing API at http://localhost:${PORT}/api/ (local requests only)`);
+    if (liveReload) {
+        console.log(`🔄 Live reload on changes in ${liveReload.directories.join('/, ')}/`);
+    }
     console.log(`\n💡 Open http://localhost:${PORT}/ in your browser`);
     console.log(`⌨️  Press Ctrl+C to stop the server\n`);
 });
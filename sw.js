@@ -0,0 +1,231 @@
+/**
+ * Service Worker
+ * Makes the dashboard installable and usable offline:
+ * - The app shell (styles, scripts, icons) is precached on install; pages come from the network
+ *   first and from the cache when it is slow or unreachable
+ * - Data files are versioned by data/versions.json (written by scripts/build-site.js): a cached file
+ *   is served as long as its hash is listed, so a visit only downloads what changed. Without that
+ *   file, data comes from the network first as well
+ * - Covers are served stale-while-revalidate; the dashboard asks for all of them to be cached once
+ *   its data loaded (see cacheCoversOffline in js/main.js), so every card shows offline
+ * - Fonts, Font Awesome and the Chart.js CDN fallback are cached the same way as covers
+ *
+ * scripts/build-site.js replaces VERSION with a hash of the shell, so a deploy that changes it
+ * installs a new precache. Unbuilt ('dev'), the shell is also fetched network-first.
+ */
+
+const VERSION = 'dev';
+const SHELL_CACHE = `shell-${VERSION}`;
+const DATA_CACHE = 'data';
+const COVERS_CACHE = 'covers';
+const RUNTIME_CACHE = 'runtime';
+const NETWORK_TIMEOUT_MS = 4000;
+const VERSIONS_TTL_MS = 30000;
+const THIRD_PARTY_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
+importScripts('js/platforms.js');
+importScripts(...PlatformRegistry.MODULES.map(id => `js/platforms/${id}.js`));
+
+const SHELL = [
+    './',
+    'styles/main.css',
+    'js/platforms.js',
+    ...PlatformRegistry.MODULES.map(id => `js/platforms/${id}.js`),
+    'js/render.js',
+    'js/export.js',
+    'js/history.js',
+    'js/admin.js',
+    'js/team.js',
+    'js/changes.js',
+    'js/main.js',
+    'js/vendor/chart.umd.js',
+    'manifest.webmanifest',
+    'assets/icons/app.svg',
+    'assets/icons/app-192.png',
+    ...new Set(PlatformRegistry.all().flatMap(definition => [definition.icon, definition.ribbonIcon].filter(Boolean)))
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // One by one: a missing file (js/vendor/ before scripts/vendor-libs.js ran) doesn't fail the install
+        await Promise.all(SHELL.map(file => cache.add(new Request(file, { cache: 'reload' })).catch(error => {
+            console.warn(`Could not precache ${file}:`, error);
+        })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, DATA_CACHE, COVERS_CACHE, RUNTIME_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        if (THIRD_PARTY_HOSTS.includes(url.hostname)) {
+            event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+        }
+        return;
+    }
+
+    const file = scopePath(url);
+    if (file === null || file.startsWith('api/') || file.startsWith('__')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event));
+    } else if (file.startsWith('data/')) {
+        event.respondWith(handleData(event, file));
+    } else if (file.startsWith('assets/covers/')) {
+        event.respondWith(staleWhileRevalidate(event, COVERS_CACHE));
+    } else if (VERSION !== 'dev' && SHELL.includes(file)) {
+        event.respondWith(cacheFirst(event, SHELL_CACHE));
+    } else if (SHELL.includes(file)) {
+        event.respondWith(networkFirst(event, SHELL_CACHE));
+    } else if (file.startsWith('assets/')) {
+        event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'cache-covers' && Array.isArray(event.data.urls)) {
+        event.waitUntil(cacheCovers(event.data.urls));
+    }
+});
+
+// Path of a URL relative to the worker's scope ('data/steam.json'), null outside of it
+function scopePath(url) {
+    const scope = self.registration.scope;
+    const href = url.origin + url.pathname;
+    return href.startsWith(scope) ? href.slice(scope.length) : null;
+}
+
+// Pages: network first; offline, the cached copy of the page or else the dashboard
+async function handleNavigation(event) {
+    try {
+        return await networkFirst(event, SHELL_CACHE);
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        const fallback = await cache.match('./');
+        if (fallback) return fallback;
+        throw error;
+    }
+}
+
+async function handleData(event, file) {
+    const versions = await loadVersions(event);
+    const hash = versions && versions[file];
+    if (!hash) return networkFirst(event, DATA_CACHE);
+
+    const cache = await caches.open(DATA_CACHE);
+    const url = new URL(file, self.registration.scope).href;
+    const versioned = `${url}?v=${hash}`;
+    const cached = await cache.match(versioned);
+    if (cached) return cached;
+
+    try {
+        // The HTTP cache may still hold the previous version
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (response.ok) {
+            const old = await cache.keys(url, { ignoreSearch: true });
+            await Promise.all(old.map(request => cache.delete(request)));
+            await cache.put(versioned, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Offline: an older version beats nothing
+        const stale = await cache.match(url, { ignoreSearch: true });
+        if (stale) return stale;
+        throw error;
+    }
+}
+
+// data/versions.json, fetched at most once per VERSIONS_TTL_MS; null when the site has none
+let versionsRequest = null;
+
+function loadVersions(event) {
+    if (!versionsRequest || Date.now() - versionsRequest.time > VERSIONS_TTL_MS) {
+        const request = new Request(new URL('data/versions.json', self.registration.scope).href, { cache: 'no-cache' });
+        versionsRequest = {
+            time: Date.now(),
+            promise: networkFirst(event, DATA_CACHE, request)
+                .then(response => response.ok ? response.json() : null)
+                .catch(() => null)
+        };
+    }
+    return versionsRequest.promise;
+}
+
+async function cacheFirst(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(event.request);
+    if (response.ok) event.waitUntil(cache.put(event.request, response.clone()));
+    return response;
+}
+
+// Network first, the cache once the network fails or takes longer than NETWORK_TIMEOUT_MS
+async function networkFirst(event, cacheName, request = event.request) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(request).then(async (response) => {
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+
+    try {
+        return await Promise.race([network, timeout(NETWORK_TIMEOUT_MS)]);
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        // Nothing cached: keep waiting for a slow network
+        return cached || network;
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+    const network = fetch(event.request).then(async (response) => {
+        // Opaque: stylesheets of other hosts loaded without CORS
+        if (response.ok || response.type === 'opaque') await cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (!cached) return network;
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+}
+
+// Cache the covers the dashboard lists and drop the ones it no longer does (replaced or restyled)
+async function cacheCovers(files) {
+    const cache = await caches.open(COVERS_CACHE);
+    const wanted = new Set(files.map(file => new URL(file, self.registration.scope).href));
+    const cached = await cache.keys();
+    await Promise.all(cached.filter(request => !wanted.has(request.url)).map(request => cache.delete(request)));
+
+    const have = new Set(cached.map(request => request.url));
+    for (const url of wanted) {
+        if (have.has(url)) continue;
+        try {
+            const response = await fetch(url);
+            if (response.ok) await cache.put(url, response);
+        } catch (error) {
+            // Offline again: the rest is cached on a later visit
+            return;
+        }
+    }
+}
+
+function timeout(ms) {
+    return new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timeout')), ms));
+}